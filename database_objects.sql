@@ -1,27 +1,42 @@
 
+-- VIEW: Doctor Episodes
+-- One row per (Doctor, episode) the Doctor appears in. Two sources, de-duplicated by UNION:
+--   1. EPISODE_APPEARANCES of characters linked to the Doctor via CHARACTER.doctor_id
+--   2. Every episode aired within the Doctor's era (first to last episode air date)
+-- The era range covers incarnations with no appearance rows; appearances add
+-- multi-Doctor stories that fall outside a Doctor's own era.
+CREATE OR REPLACE VIEW doctor_episodes AS
+SELECT c.doctor_id, ea.episode_id
+FROM EPISODE_APPEARANCES ea
+INNER JOIN `CHARACTER` c ON c.character_id = ea.character_id
+WHERE c.doctor_id IS NOT NULL
+UNION
+SELECT d.doctor_id, e.episode_id
+FROM DOCTOR d
+INNER JOIN EPISODES f ON f.episode_id = d.first_episode_id
+INNER JOIN EPISODES l ON l.episode_id = d.last_episode_id
+INNER JOIN EPISODES e ON e.air_date BETWEEN f.air_date AND l.air_date;
+
 -- VIEW: Doctor Episode Summary
 -- Provides a summary of each Doctor with their episodes, companions, and enemies
+-- Episode and enemy counts come from doctor_episodes; companions are counted separately
+-- so the DOCTOR_COMPANIONS join doesn't multiply the episode rows
 CREATE OR REPLACE VIEW doctor_episode_summary AS
 SELECT
     d.doctor_id,
     d.incarnation_number,
     a.name AS actor_name,
     d.catchphrase,
-    COUNT(DISTINCT e.episode_id) AS total_episodes,
-    COUNT(DISTINCT dc.companion_id) AS total_companions,
+    COUNT(DISTINCT de.episode_id) AS total_episodes,
+    (SELECT COUNT(DISTINCT dc.companion_id) FROM DOCTOR_COMPANIONS dc WHERE dc.doctor_id = d.doctor_id) AS total_companions,
     COUNT(DISTINCT ee.enemy_id) AS total_enemies,
     MIN(e.air_date) AS first_episode_date,
     MAX(e.air_date) AS last_episode_date
 FROM DOCTOR d
 LEFT JOIN ACTORS a ON d.actor_id = a.actor_id
-LEFT JOIN EPISODES e ON e.episode_id = d.first_episode_id OR e.episode_id = d.last_episode_id
-    OR e.episode_id IN (
-        SELECT DISTINCT dc.start_episode_id FROM DOCTOR_COMPANIONS dc WHERE dc.doctor_id = d.doctor_id
-        UNION
-        SELECT DISTINCT dc.end_episode_id FROM DOCTOR_COMPANIONS dc WHERE dc.doctor_id = d.doctor_id AND dc.end_episode_id IS NOT NULL
-    )
-LEFT JOIN DOCTOR_COMPANIONS dc ON dc.doctor_id = d.doctor_id
-LEFT JOIN ENEMY_EPISODES ee ON ee.episode_id = e.episode_id
+LEFT JOIN doctor_episodes de ON de.doctor_id = d.doctor_id
+LEFT JOIN EPISODES e ON e.episode_id = de.episode_id
+LEFT JOIN ENEMY_EPISODES ee ON ee.episode_id = de.episode_id
 GROUP BY d.doctor_id, d.incarnation_number, a.name, d.catchphrase;
 
 -- VIEW: Enemy Appearance Summary
@@ -65,7 +80,8 @@ END $$
 DELIMITER ;
 
 -- STORED PROCEDURE: Get Episodes for Doctor
--- Returns all episodes associated with a specific Doctor incarnation
+-- Returns all episodes associated with a specific Doctor incarnation (from doctor_episodes),
+-- with the companions aboard when each episode aired and the enemies in it
 DELIMITER $$
 CREATE PROCEDURE GetEpisodesForDoctor(IN doctor_incarnation INT)
 BEGIN
@@ -78,22 +94,27 @@ BEGIN
         s.year AS season_year,
         w.name AS writer_name,
         d.name AS director_name,
-        GROUP_CONCAT(DISTINCT c.name SEPARATOR ', ') AS companions,
-        GROUP_CONCAT(DISTINCT en.name SEPARATOR ', ') AS enemies
+        GROUP_CONCAT(DISTINCT c.name ORDER BY c.name SEPARATOR ', ') AS companions,
+        GROUP_CONCAT(DISTINCT en.name ORDER BY en.name SEPARATOR ', ') AS enemies
     FROM DOCTOR doc
-    INNER JOIN DOCTOR_COMPANIONS dc ON doc.doctor_id = dc.doctor_id
-    INNER JOIN EPISODES e ON e.episode_id = dc.start_episode_id OR e.episode_id = dc.end_episode_id
-        OR e.episode_id = doc.first_episode_id OR e.episode_id = doc.last_episode_id
+    INNER JOIN doctor_episodes de ON de.doctor_id = doc.doctor_id
+    INNER JOIN EPISODES e ON e.episode_id = de.episode_id
     LEFT JOIN SEASONS s ON e.season_id = s.season_id
     LEFT JOIN WRITERS w ON e.writer_id = w.writer_id
     LEFT JOIN DIRECTORS d ON e.director_id = d.director_id
-    LEFT JOIN DOCTOR_COMPANIONS dc2 ON e.episode_id = dc2.start_episode_id AND dc2.doctor_id = doc.doctor_id
-    LEFT JOIN COMPANIONS c ON dc2.companion_id = c.companion_id
+    LEFT JOIN (
+        DOCTOR_COMPANIONS dc
+        INNER JOIN EPISODES dc_start ON dc_start.episode_id = dc.start_episode_id
+        LEFT JOIN EPISODES dc_end ON dc_end.episode_id = dc.end_episode_id
+        INNER JOIN COMPANIONS c ON c.companion_id = dc.companion_id
+    ) ON dc.doctor_id = doc.doctor_id
+        AND dc_start.air_date <= e.air_date
+        AND (dc.end_episode_id IS NULL OR dc_end.air_date >= e.air_date)
     LEFT JOIN ENEMY_EPISODES ee ON e.episode_id = ee.episode_id
     LEFT JOIN ENEMIES en ON ee.enemy_id = en.enemy_id
     WHERE doc.incarnation_number = doctor_incarnation
     GROUP BY e.episode_id, e.title, e.air_date, e.runtime_minutes, s.series_number, s.year, w.name, d.name
-    ORDER BY e.air_date;
+    ORDER BY e.air_date, e.episode_id;
 END $$
 DELIMITER ;
 
@@ -11,6 +11,7 @@ document.querySelectorAll('.tab-btn').forEach(btn => {
 
         if (tab === 'doctors') loadDoctors();
         if (tab === 'episodes') loadEpisodes();
+        if (tab === 'llm') loadLlmSessions();
     });
 });
 
@@ -22,7 +23,7 @@ window.addEventListener('load', () => {
 // Doctors CRUD
 async function loadDoctors() {
     try {
-        const response = await fetch(`${API_BASE}/doctors`);
+        const response = await fetch(`${API_BASE}/doctors?sort=incarnation_number&limit=100`);
         const result = await response.json();
         const doctors = result.data || result; // Handle both old and new format
         const list = document.getElementById('doctors-list');
@@ -69,11 +70,11 @@ function showDoctorForm(doctor = null) {
         <form id="doctor-form">
             <div class="form-group">
                 <label>Actor ID <span class="required">*</span></label>
-                <input type="number" name="actor_id" value="${doctor?.actor_id || ''}"
+                <input type="number" name="actor_id" data-autocomplete="actor" value="${doctor?.actor_id || ''}"
                        placeholder="e.g., 5 (must exist in database)"
-                       title="Select an existing actor ID from the database"
+                       title="Search for an actor by name or enter an existing actor ID"
                        min="1" required>
-                <small class="help-text">Choose from existing actors in the database</small>
+                <small class="help-text">Search by name to fill in the ID, or type an existing actor ID</small>
             </div>
             <div class="form-group">
                 <label>Incarnation Number <span class="required">*</span></label>
@@ -85,7 +86,7 @@ function showDoctorForm(doctor = null) {
             </div>
             <div class="form-group">
                 <label>First Episode ID</label>
-                <input type="number" name="first_episode_id" value="${doctor?.first_episode_id ?? ''}"
+                <input type="number" name="first_episode_id" data-autocomplete="episode" value="${doctor?.first_episode_id ?? ''}"
                        placeholder="e.g., 1 (optional)"
                        title="Episode where this Doctor first appeared"
                        min="1">
@@ -93,7 +94,7 @@ function showDoctorForm(doctor = null) {
             </div>
             <div class="form-group">
                 <label>Last Episode ID</label>
-                <input type="number" name="last_episode_id" value="${doctor?.last_episode_id ?? ''}"
+                <input type="number" name="last_episode_id" data-autocomplete="episode" value="${doctor?.last_episode_id ?? ''}"
                        placeholder="e.g., 10 (optional)"
                        title="Episode where this Doctor last appeared"
                        min="1">
@@ -114,6 +115,7 @@ function showDoctorForm(doctor = null) {
         </form>
     `;
     modal.style.display = 'block';
+    attachAutocompletes(body);
 
     const form = document.getElementById('doctor-form');
     const submitBtn = form.querySelector('button[type="submit"]');
@@ -181,13 +183,16 @@ async function deleteDoctor(id) {
 }
 
 // Episodes CRUD
-let allEpisodes = []; // Store all episodes globally
+const EPISODES_PAGE_SIZE = 50;
+let allEpisodes = []; // Episodes on the current page
+let episodesPagination = { page: 1, totalPages: 1, total: 0 };
 
-async function loadEpisodes() {
+async function loadEpisodes(page = episodesPagination.page) {
     try {
-        const response = await fetch(`${API_BASE}/episodes`);
+        const response = await fetch(`${API_BASE}/episodes?page=${page}&limit=${EPISODES_PAGE_SIZE}`);
         const result = await response.json();
         allEpisodes = result.data || result;
+        episodesPagination = result.pagination || { page: 1, totalPages: 1, total: allEpisodes.length };
 
         // Apply filter based on checkbox state
         applyEpisodesFilter();
@@ -219,19 +224,21 @@ function applyEpisodesFilter() {
 
     if (filteredEpisodes.length === 0) {
         list.innerHTML = '<div class="info">No episodes found. ' +
-            (showVariations ? '' : 'Try enabling "Show variations" to see all episodes.') + '</div>';
+            (showVariations ? '' : 'Try enabling "Show variations" to see all episodes.') + '</div>' +
+            renderEpisodesPager();
         return;
     }
 
     // Display count
     const countText = showVariations
-        ? `Showing all ${filteredEpisodes.length} episodes (including variations)`
-        : `Showing ${filteredEpisodes.length} unique episodes (${allEpisodes.length - filteredEpisodes.length} variations hidden)`;
+        ? `Showing all ${filteredEpisodes.length} episodes on this page (including variations)`
+        : `Showing ${filteredEpisodes.length} unique episodes on this page (${allEpisodes.length - filteredEpisodes.length} variations hidden)`;
 
     list.innerHTML = `
         <div style="margin-bottom: 15px; padding: 10px; background: #f0f0f0; border-radius: 5px; font-size: 14px; color: #666;">
-            ${countText}
+            ${countText} &middot; ${episodesPagination.total} episodes in total
         </div>
+        ${renderEpisodesPager()}
         ${filteredEpisodes.map(episode => `
             <div class="data-card">
                 <div>
@@ -251,6 +258,19 @@ function applyEpisodesFilter() {
                 </div>
             </div>
         `).join('')}
+        ${renderEpisodesPager()}
+    `;
+}
+
+function renderEpisodesPager() {
+    const { page, totalPages } = episodesPagination;
+    if (totalPages <= 1) return '';
+    return `
+        <div class="pager">
+            <button class="btn btn-secondary" onclick="loadEpisodes(${page - 1})" ${page <= 1 ? 'disabled' : ''}>&laquo; Previous</button>
+            <span>Page ${page} of ${totalPages}</span>
+            <button class="btn btn-secondary" onclick="loadEpisodes(${page + 1})" ${page >= totalPages ? 'disabled' : ''}>Next &raquo;</button>
+        </div>
     `;
 }
 
@@ -266,11 +286,11 @@ function showEpisodeForm(episode = null) {
         <form id="episode-form">
             <div class="form-group">
                 <label>Season ID <span class="required">*</span></label>
-                <input type="number" name="season_id" value="${episode?.season_id || ''}"
+                <input type="number" name="season_id" data-autocomplete="season" value="${episode?.season_id || ''}"
                        placeholder="e.g., 1 (must exist in database)"
                        title="Select an existing season ID"
                        min="1" required>
-                <small class="help-text">Choose from existing seasons in the database</small>
+                <small class="help-text">Search e.g. "Series 1" to fill in the ID, or type an existing season ID</small>
             </div>
             <div class="form-group">
                 <label>Title <span class="required">*</span></label>
@@ -282,7 +302,7 @@ function showEpisodeForm(episode = null) {
             </div>
             <div class="form-group">
                 <label>Writer ID</label>
-                <input type="number" name="writer_id" value="${episode?.writer_id ?? ''}"
+                <input type="number" name="writer_id" data-autocomplete="writer" value="${episode?.writer_id ?? ''}"
                        placeholder="e.g., 1 (optional)"
                        title="Writer who wrote this episode"
                        min="1">
@@ -290,7 +310,7 @@ function showEpisodeForm(episode = null) {
             </div>
             <div class="form-group">
                 <label>Director ID</label>
-                <input type="number" name="director_id" value="${episode?.director_id ?? ''}"
+                <input type="number" name="director_id" data-autocomplete="director" value="${episode?.director_id ?? ''}"
                        placeholder="e.g., 1 (optional)"
                        title="Director who directed this episode"
                        min="1">
@@ -326,6 +346,7 @@ function showEpisodeForm(episode = null) {
         </form>
     `;
     modal.style.display = 'block';
+    attachAutocompletes(body);
 
     const form = document.getElementById('episode-form');
     const submitBtn = form.querySelector('button[type="submit"]');
@@ -526,55 +547,346 @@ async function updateEnemyThreat() {
     }
 }
 
-// LLM Integration
+// LLM Integration: a threaded conversation, saved server-side as a session
+let llmSessionId = null;
+
+async function loadLlmSessions() {
+    const select = document.getElementById('llm-session-select');
+    try {
+        const response = await fetch(`${API_BASE}/llm/sessions?limit=50`);
+        const { data: sessions } = await response.json();
+        select.innerHTML = '<option value="">New conversation</option>';
+        sessions.forEach(session => {
+            const option = document.createElement('option');
+            option.value = session.session_id;
+            option.textContent = `${session.title || 'Untitled'} (${session.message_count} messages)`;
+            select.appendChild(option);
+        });
+        select.value = llmSessionId || '';
+    } catch (error) {
+        showNotification(`Error loading conversations: ${error.message}`, 'error');
+    }
+}
+
+async function selectLlmSession(id) {
+    llmSessionId = id || null;
+    const thread = document.getElementById('llm-thread');
+    thread.innerHTML = '';
+    if (!llmSessionId) return;
+    try {
+        const response = await fetch(`${API_BASE}/llm/sessions/${llmSessionId}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { data: session } = await response.json();
+        session.messages.forEach(message => {
+            const bubble = appendChatMessage(message.role, message.content);
+            if (message.sql) {
+                const count = document.createElement('p');
+                count.className = 'llm-row-count';
+                count.textContent = `${message.row_count} row(s)`;
+                bubble.append(renderSql(message.sql), count);
+            }
+        });
+    } catch (error) {
+        thread.innerHTML = `<div class="error">Error loading conversation: ${error.message}</div>`;
+    }
+}
+
+function newLlmSession() {
+    document.getElementById('llm-session-select').value = '';
+    selectLlmSession('');
+    document.getElementById('llm-query').focus();
+}
+
+async function deleteLlmSession() {
+    if (!llmSessionId || !confirm('Delete this conversation?')) return;
+    try {
+        const response = await fetch(`${API_BASE}/llm/sessions/${llmSessionId}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        newLlmSession();
+        loadLlmSessions();
+    } catch (error) {
+        showNotification(`Error deleting conversation: ${error.message}`, 'error');
+    }
+}
+
+// Add a message bubble to the thread and return it
+function appendChatMessage(role, text) {
+    const thread = document.getElementById('llm-thread');
+    const bubble = document.createElement('div');
+    bubble.className = `chat-message chat-${role}`;
+    if (text !== undefined) {
+        const body = document.createElement('div');
+        body.className = 'chat-text';
+        body.textContent = text;
+        bubble.appendChild(body);
+    }
+    thread.appendChild(bubble);
+    thread.scrollTop = thread.scrollHeight;
+    return bubble;
+}
+
+// Show a failed answer: quota and API key problems get setup hints, rejected queries list why
+function renderLlmError(results, errorData) {
+    if (errorData.error && (errorData.error.includes('quota') || errorData.error.includes('429'))) {
+        results.innerHTML = `<div class="error">
+            <strong>[WARNING] API Quota Exceeded:</strong><br>
+            ${errorData.error}<br><br>
+            <strong>Important Note:</strong><br>
+            <ul style="text-align: left; margin: 10px 0;">
+                <li>ChatGPT Plus subscription ≠ OpenAI API access</li>
+                <li>You need a separate OpenAI API account with billing enabled</li>
+                <li>Visit: <a href="https://platform.openai.com/account/billing" target="_blank">platform.openai.com/account/billing</a></li>
+                <li>Add payment method and purchase API credits</li>
+            </ul>
+            <em style="color: #4caf50;"><strong>[NOTE] Code Status:</strong> The LLM integration is fully implemented and working correctly. This is purely a billing/quota issue, not a code problem. For your presentation, you can demonstrate the feature works by showing the error handling and explaining the API setup process.</em>
+        </div>`;
+        return;
+    }
+    if (errorData.error && errorData.error.includes('API key')) {
+        results.innerHTML = `<div class="error"><strong>API Key Issue:</strong><br>${errorData.error}<br><br><em>Please check your OPENAI_API_KEY in the .env file and restart the server.</em></div>`;
+        return;
+    }
+    if (errorData.sql) {
+        results.innerHTML = '<div class="error"><strong>The generated query was rejected:</strong><br></div>';
+        const reasons = document.createElement('ul');
+        (errorData.violations || [{ message: errorData.error }]).forEach(violation => {
+            const item = document.createElement('li');
+            item.textContent = violation.message;
+            reasons.appendChild(item);
+        });
+        results.firstChild.append(reasons, renderSql(errorData.sql));
+        return;
+    }
+    results.innerHTML = '<div class="error"></div>';
+    results.firstChild.textContent = `Error: ${errorData.error || 'Unknown error'}`;
+}
+
+// Read Server-Sent Events from a fetch response, calling onEvent(event, data) for each one
+async function readEventStream(response, onEvent) {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += value;
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const frame = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            let event = 'message';
+            let data = '';
+            frame.split('\n').forEach(line => {
+                if (line.startsWith('event: ')) event = line.slice(7);
+                if (line.startsWith('data: ')) data += line.slice(6);
+            });
+            if (data) onEvent(event, JSON.parse(data));
+        }
+    }
+}
+
+const LLM_STEP_LABELS = {
+    generating_sql: () => 'Writing a SQL query...',
+    generated_sql: () => 'Generated SQL',
+    executed: step => `Executed, ${step.row_count} row(s)`
+};
+
+// The request in flight, so the Stop button can cancel it
+let llmController = null;
+
+function stopLLM() {
+    if (llmController) llmController.abort();
+}
+
 async function askLLM() {
-    const query = document.getElementById('llm-query').value.trim();
+    const input = document.getElementById('llm-query');
+    const query = input.value.trim();
     if (!query) {
         alert('Please enter a question');
         return;
     }
-    const results = document.getElementById('llm-results');
+    if (llmController) return;
+    const mode = document.getElementById('llm-sql-mode').checked ? 'sql' : 'chat';
+
+    appendChatMessage('user', query);
+    input.value = '';
+    const results = appendChatMessage('assistant');
     results.innerHTML = '<div class="loading">AI is thinking...</div>';
+    const thread = document.getElementById('llm-thread');
+    const stopButton = document.getElementById('llm-stop');
+    llmController = new AbortController();
+    stopButton.disabled = false;
     try {
-        const response = await fetch(`${API_BASE}/llm/query`, {
+        if (!llmSessionId) {
+            const created = await fetch(`${API_BASE}/llm/sessions`, { method: 'POST', signal: llmController.signal });
+            if (!created.ok) throw new Error(`Could not start a conversation (HTTP ${created.status})`);
+            llmSessionId = (await created.json()).data.session_id;
+        }
+
+        // Validation and configuration errors come back as plain JSON before the stream starts
+        const response = await fetch(`${API_BASE}/llm/query/stream`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ query })
+            body: JSON.stringify({ query, mode, session_id: llmSessionId }),
+            signal: llmController.signal
         });
         if (!response.ok) {
-            const errorData = await response.json();
-            if (errorData.error && (errorData.error.includes('quota') || errorData.error.includes('429'))) {
-                results.innerHTML = `<div class="error">
-                    <strong>[WARNING] API Quota Exceeded:</strong><br>
-                    ${errorData.error}<br><br>
-                    <strong>Important Note:</strong><br>
-                    <ul style="text-align: left; margin: 10px 0;">
-                        <li>ChatGPT Plus subscription ≠ OpenAI API access</li>
-                        <li>You need a separate OpenAI API account with billing enabled</li>
-                        <li>Visit: <a href="https://platform.openai.com/account/billing" target="_blank">platform.openai.com/account/billing</a></li>
-                        <li>Add payment method and purchase API credits</li>
-                    </ul>
-                    <em style="color: #4caf50;"><strong>[NOTE] Code Status:</strong> The LLM integration is fully implemented and working correctly. This is purely a billing/quota issue, not a code problem. For your presentation, you can demonstrate the feature works by showing the error handling and explaining the API setup process.</em>
-                </div>`;
-                return;
+            renderLlmError(results, await response.json());
+            return;
+        }
+
+        const steps = document.createElement('ul');
+        steps.className = 'llm-steps';
+        const text = document.createElement('div');
+        text.className = 'chat-text';
+        let started = false;
+        const start = () => {
+            if (started) return;
+            started = true;
+            results.innerHTML = '';
+            results.append(steps, text);
+        };
+
+        await readEventStream(response, (event, data) => {
+            start();
+            if (event === 'step') {
+                const item = document.createElement('li');
+                item.textContent = LLM_STEP_LABELS[data.step]?.(data) || data.step;
+                steps.appendChild(item);
+                if (data.step === 'generated_sql') steps.appendChild(renderSql(data.sql));
+            } else if (event === 'token') {
+                text.textContent += data.delta;
+            } else if (event === 'result') {
+                text.textContent = data.answer;
+                if (data.mode === 'sql') {
+                    // The SQL that ran, with its LIMIT, replaces the generated draft
+                    steps.querySelectorAll('.llm-sql').forEach(pre => pre.remove());
+                    results.append(renderSql(data.sql), renderQueryRows(data));
+                }
+            } else if (event === 'error') {
+                renderLlmError(results, data);
             }
-            if (errorData.error && errorData.error.includes('API key')) {
-                results.innerHTML = `<div class="error"><strong>API Key Issue:</strong><br>${errorData.error}<br><br><em>Please check your OPENAI_API_KEY in the .env file and restart the server.</em></div>`;
+            thread.scrollTop = thread.scrollHeight;
+        });
+        loadLlmSessions();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            const note = document.createElement('div');
+            note.className = 'llm-cancelled';
+            note.textContent = 'Cancelled';
+            results.querySelector('.loading')?.remove();
+            results.appendChild(note);
+            return;
+        }
+        results.innerHTML = '<div class="error"></div>';
+        results.firstChild.textContent = `Error: ${error.message}`;
+    } finally {
+        llmController = null;
+        stopButton.disabled = true;
+    }
+}
+
+function renderSql(sql) {
+    const pre = document.createElement('pre');
+    pre.className = 'llm-sql';
+    pre.textContent = sql;
+    return pre;
+}
+
+// Table of the rows a generated query returned
+function renderQueryRows({ columns, rows, row_count, truncated }) {
+    const wrapper = document.createElement('div');
+    const caption = document.createElement('p');
+    caption.className = 'llm-row-count';
+    caption.textContent = truncated ? `Showing ${rows.length} of ${row_count} rows` : `${row_count} row(s)`;
+    wrapper.appendChild(caption);
+    if (rows.length === 0) return wrapper;
+
+    const table = document.createElement('table');
+    table.className = 'llm-table';
+    const head = table.createTHead().insertRow();
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column;
+        head.appendChild(th);
+    });
+    const body = table.createTBody();
+    rows.forEach(row => {
+        const tr = body.insertRow();
+        columns.forEach(column => {
+            tr.insertCell().textContent = row[column] === null ? '' : String(row[column]);
+        });
+    });
+    wrapper.appendChild(table);
+    return wrapper;
+}
+
+// Autocomplete: type a name, pick a suggestion, and the ID field is filled in
+function attachAutocompletes(container) {
+    container.querySelectorAll('input[data-autocomplete]').forEach(idInput => {
+        const type = idInput.dataset.autocomplete;
+        const searchInput = document.createElement('input');
+        searchInput.type = 'text';
+        searchInput.className = 'autocomplete-input';
+        searchInput.placeholder = `Search ${type}s by name...`;
+        searchInput.autocomplete = 'off';
+
+        const list = document.createElement('ul');
+        list.className = 'autocomplete-list';
+
+        idInput.insertAdjacentElement('beforebegin', searchInput);
+        searchInput.insertAdjacentElement('afterend', list);
+
+        let timer = null;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(timer);
+            const q = searchInput.value.trim();
+            if (!q) {
+                list.innerHTML = '';
                 return;
             }
-            throw new Error(errorData.error || `HTTP ${response.status}`);
-        }
-        const data = await response.json();
-        if (data.answer) {
-            results.innerHTML = `<div class="success"><strong>AI Answer:</strong><br><div style="white-space: pre-wrap; margin-top: 10px;">${data.answer}</div></div>`;
-        } else if (data.message) {
-            results.innerHTML = `<div class="success"><strong>Response:</strong><br>${data.message}</div>`;
-        } else {
-            results.innerHTML = `<div class="error">Unexpected response format</div>`;
-        }
-    } catch (error) {
-        results.innerHTML = `<div class="error">Error: ${error.message}</div>`;
+            timer = setTimeout(async () => {
+                try {
+                    const response = await fetch(`${API_BASE}/autocomplete?type=${type}&q=${encodeURIComponent(q)}`);
+                    const result = await response.json();
+                    // Ignore responses for text the user has since changed
+                    if (searchInput.value.trim() !== q) return;
+                    renderSuggestions(list, result.data || [], suggestion => {
+                        idInput.value = suggestion.id;
+                        searchInput.value = suggestion.label;
+                        list.innerHTML = '';
+                    });
+                } catch (error) {
+                    list.innerHTML = '';
+                }
+            }, 200);
+        });
+
+        searchInput.addEventListener('blur', () => {
+            // Let a click on a suggestion land before the list closes
+            setTimeout(() => { list.innerHTML = ''; }, 150);
+        });
+    });
+}
+
+function renderSuggestions(list, suggestions, onPick) {
+    list.innerHTML = '';
+    if (suggestions.length === 0) {
+        list.innerHTML = '<li class="autocomplete-empty">No matches</li>';
+        return;
     }
+    suggestions.forEach(suggestion => {
+        const item = document.createElement('li');
+        item.textContent = `${suggestion.label}${suggestion.detail ? ` (${suggestion.detail})` : ''}`;
+        const id = document.createElement('span');
+        id.className = 'autocomplete-id';
+        id.textContent = `#${suggestion.id}`;
+        item.appendChild(id);
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            onPick(suggestion);
+        });
+        list.appendChild(item);
+    });
 }
 
 function closeModal() {
@@ -55,6 +55,67 @@ module.exports = {
     DEFAULT_OFFSET: 0
   },
   
+  // Search
+  SEARCH: {
+    MIN_QUERY_LENGTH: 2,
+    SNIPPET_RADIUS: 60,
+    // How long the in-process fallback index is reused before it is rebuilt
+    INDEX_TTL_MS: 5 * 60 * 1000
+  },
+  
+  // Autocomplete
+  AUTOCOMPLETE: {
+    DEFAULT_LIMIT: 10,
+    MAX_LIMIT: 25,
+    // Suggestions scoring below this similarity (0..1) are dropped
+    MIN_SIMILARITY: 0.5,
+    // Name lists are short, so they are cached briefly to keep forms responsive
+    CACHE_TTL_MS: 60 * 1000
+  },
+  
+  // Relationship graph
+  GRAPH: {
+    DEFAULT_NEIGHBOR_DEPTH: 1,
+    DEFAULT_PATH_DEPTH: 4,
+    MAX_DEPTH: 6,
+    // Breadth-first searches stop once this many nodes have been reached
+    MAX_VISITED_NODES: 5000
+  },
+  
+  // Analytics
+  ANALYTICS: {
+    // Enemies shown in the co-appearance matrix (most frequent first)
+    MATRIX_SIZE: 15,
+    MAX_MATRIX_SIZE: 50,
+    TOP_PAIRS: 25
+  },
+
+  // Natural-language queries (/api/llm/query).
+  // Defaults for the LLM_* environment variables (see services/llmProviders)
+  LLM: {
+    DEFAULT_MODEL: 'gpt-3.5-turbo',
+    DEFAULT_TEMPERATURE: 0.7,
+    DEFAULT_MAX_TOKENS: 500,
+    // Rows returned to the client in SQL mode, and rows shown to the model when summarizing
+    MAX_RESULT_ROWS: 200,
+    SUMMARY_ROWS: 50,
+    // LIMIT forced onto generated queries, and how long MySQL lets them run
+    QUERY_ROW_LIMIT: 1000,
+    QUERY_TIMEOUT_MS: 5000,
+    // Conversation sessions: earlier turns replayed to the model, estimated at ~4 characters per token
+    HISTORY_TOKEN_BUDGET: 1500,
+    CHARS_PER_TOKEN: 4,
+    SESSION_TITLE_LENGTH: 80
+  },
+  
+  // Broadcast eras, one per TVMaze show imported by seed-db.js.
+  // The seed numbers seasons consecutively across shows, so each era is a series_number range.
+  ERAS: [
+    { key: 'classic', name: 'Classic', tvmaze_show_id: 766, first_series: 1, last_series: 26 },
+    { key: 'modern', name: 'Modern', tvmaze_show_id: 210, first_series: 27, last_series: 39 },
+    { key: 'new', name: 'New', tvmaze_show_id: 72724, first_series: 40, last_series: null }
+  ],
+  
   // API Documentation
   API_INFO: {
     VERSION: '1.0.0',
@@ -63,13 +124,30 @@ module.exports = {
     ENDPOINTS: {
       doctors: '/api/doctors',
       episodes: '/api/episodes',
+      companions: '/api/companions',
+      enemies: '/api/enemies',
+      planets: '/api/planets',
+      species: '/api/species',
+      seasons: '/api/seasons',
+      actors: '/api/actors',
+      writers: '/api/writers',
+      directors: '/api/directors',
+      characters: '/api/characters',
+      tardis: '/api/tardis',
+      search: '/api/search?q=',
+      autocomplete: '/api/autocomplete?type=&q=',
+      analytics: '/api/analytics/enemies, /api/analytics/seasons or /api/analytics/crew',
+      graph: '/api/graph/neighbors/:type/:id or /api/graph/path?from=type:id&to=type:id',
+      timeline: '/api/timeline/doctors, /api/timeline/companions or /api/timeline/companions/aboard?episode_id=',
+      stats: '/api/stats/doctors, /api/stats/enemies, /api/stats/seasons or /api/stats/planets',
+      admin: '/api/admin/stats/status or POST /api/admin/stats/rebuild',
       queries: {
         join: '/api/queries/join/doctor/:id or /api/queries/join/episode/:id',
         view: '/api/queries/view/doctor-summary or /api/queries/view/enemy-summary',
         procedure: '/api/queries/procedure/enemies/:threatLevel or /api/queries/procedure/doctor/:incarnation',
         update: '/api/queries/update/enemy/:id/threat-level'
       },
-      llm: '/api/llm/query'
+      llm: '/api/llm/query (POST { query, mode: chat | sql, session_id? }), /api/llm/query/stream (same body, Server-Sent Events) or /api/llm/sessions'
     }
   }
 };
\ No newline at end of file
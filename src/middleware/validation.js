@@ -84,6 +84,301 @@ const validateEpisodeData = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate companion data
+ */
+const validateCompanionData = (req, res, next) => {
+  const { name, actor_id } = req.body;
+
+  if (req.method === 'POST' || name !== undefined) {
+    if (!name || name.trim().length === 0) {
+      return next(new ValidationError('Name is required'));
+    }
+  }
+
+  if (req.method === 'POST' || actor_id !== undefined) {
+    if (!actor_id || isNaN(actor_id) || actor_id <= 0) {
+      return next(new ValidationError('Valid actor_id is required'));
+    }
+  }
+
+  next();
+};
+
+/**
+ * Validate a Doctor-Companion link (start and end episodes)
+ */
+const validateDoctorLinkData = (req, res, next) => {
+  const { doctor_id, start_episode_id, end_episode_id } = req.body;
+
+  if (!doctor_id || isNaN(doctor_id) || doctor_id <= 0) {
+    return next(new ValidationError('Valid doctor_id is required'));
+  }
+
+  if (!start_episode_id || isNaN(start_episode_id) || start_episode_id <= 0) {
+    return next(new ValidationError('Valid start_episode_id is required'));
+  }
+
+  if (end_episode_id !== undefined && end_episode_id !== null && (isNaN(end_episode_id) || end_episode_id <= 0)) {
+    return next(new ValidationError('End episode ID must be a positive number'));
+  }
+
+  next();
+};
+
+/**
+ * Validate enemy data
+ */
+const validateEnemyData = (req, res, next) => {
+  const { name, species_id, home_planet_id } = req.body;
+
+  if (req.method === 'POST' || name !== undefined) {
+    if (!name || name.trim().length === 0) {
+      return next(new ValidationError('Name is required'));
+    }
+  }
+
+  if (species_id !== undefined && species_id !== null && (isNaN(species_id) || species_id <= 0)) {
+    return next(new ValidationError('Species ID must be a positive number'));
+  }
+
+  if (home_planet_id !== undefined && home_planet_id !== null && (isNaN(home_planet_id) || home_planet_id <= 0)) {
+    return next(new ValidationError('Home planet ID must be a positive number'));
+  }
+
+  next();
+};
+
+/**
+ * Validate an enemy episode appearance
+ */
+const validateEnemyAppearanceData = (req, res, next) => {
+  const { episode_id, role } = req.body;
+
+  if (!episode_id || isNaN(episode_id) || episode_id <= 0) {
+    return next(new ValidationError('Valid episode_id is required'));
+  }
+
+  if (role !== undefined && role !== null && (typeof role !== 'string' || role.length > 100)) {
+    return next(new ValidationError('Role must be a string of at most 100 characters'));
+  }
+
+  next();
+};
+
+/**
+ * Validate planet data
+ */
+const validatePlanetData = (req, res, next) => {
+  const { name } = req.body;
+
+  if (req.method === 'POST' || name !== undefined) {
+    if (!name || name.trim().length === 0) {
+      return next(new ValidationError('Name is required'));
+    }
+  }
+
+  next();
+};
+
+/**
+ * Validate species data
+ */
+const validateSpeciesData = (req, res, next) => {
+  const { name, home_planet_id } = req.body;
+
+  if (req.method === 'POST' || name !== undefined) {
+    if (!name || name.trim().length === 0) {
+      return next(new ValidationError('Name is required'));
+    }
+  }
+
+  if (home_planet_id !== undefined && home_planet_id !== null && (isNaN(home_planet_id) || home_planet_id <= 0)) {
+    return next(new ValidationError('Home planet ID must be a positive number'));
+  }
+
+  next();
+};
+
+/**
+ * Validate season data
+ */
+const validateSeasonData = (req, res, next) => {
+  const { series_number, year, showrunner_id } = req.body;
+
+  if (req.method === 'POST' || series_number !== undefined) {
+    if (!series_number || isNaN(series_number) || series_number <= 0) {
+      return next(new ValidationError('Valid series_number is required'));
+    }
+  }
+
+  if (year !== undefined && year !== null && (isNaN(year) || year < 1963)) {
+    return next(new ValidationError('Year must be 1963 or later'));
+  }
+
+  if (showrunner_id !== undefined && showrunner_id !== null && (isNaN(showrunner_id) || showrunner_id <= 0)) {
+    return next(new ValidationError('Showrunner ID must be a positive number'));
+  }
+
+  next();
+};
+
+/**
+ * Validate season lookup query parameters (series_number, year)
+ */
+const validateSeasonLookup = (req, res, next) => {
+  for (const param of ['series_number', 'year']) {
+    const value = req.query[param];
+    if (value !== undefined) {
+      const num = parseInt(value);
+      if (isNaN(num) || num <= 0) {
+        return next(new BadRequestError(`Invalid ${param} parameter`));
+      }
+      req.query[param] = num;
+    }
+  }
+
+  next();
+};
+
+/**
+ * Validate person data (actors, writers, directors)
+ */
+const validatePersonData = (req, res, next) => {
+  const { name, birth_date } = req.body;
+
+  if (req.method === 'POST' || name !== undefined) {
+    if (!name || name.trim().length === 0) {
+      return next(new ValidationError('Name is required'));
+    }
+  }
+
+  if (birth_date !== undefined && birth_date !== null && isNaN(Date.parse(birth_date))) {
+    return next(new ValidationError('Birth date must be a valid date (YYYY-MM-DD)'));
+  }
+
+  next();
+};
+
+/**
+ * Validate character data
+ */
+const validateCharacterData = (req, res, next) => {
+  const { name, age } = req.body;
+
+  if (req.method === 'POST' || name !== undefined) {
+    if (!name || name.trim().length === 0) {
+      return next(new ValidationError('Name is required'));
+    }
+  }
+
+  if (age !== undefined && age !== null && (isNaN(age) || age < 0)) {
+    return next(new ValidationError('Age must be a non-negative number'));
+  }
+
+  for (const field of ['species_id', 'doctor_id', 'enemy_id']) {
+    const value = req.body[field];
+    if (value !== undefined && value !== null && (isNaN(value) || value <= 0)) {
+      return next(new ValidationError(`${field} must be a positive number`));
+    }
+  }
+
+  next();
+};
+
+/**
+ * Validate an episode appearance.
+ * POST needs episode_id and character_type; PUT only changes screen_time_min.
+ */
+const validateAppearanceData = (req, res, next) => {
+  const { episode_id, character_type, screen_time_min } = req.body;
+
+  if (req.method === 'POST') {
+    if (!episode_id || isNaN(episode_id) || episode_id <= 0) {
+      return next(new ValidationError('Valid episode_id is required'));
+    }
+    if (!character_type || typeof character_type !== 'string' || character_type.trim().length === 0) {
+      return next(new ValidationError('character_type is required'));
+    }
+    if (character_type.length > 50) {
+      return next(new ValidationError('character_type must be at most 50 characters'));
+    }
+  }
+
+  if (req.method === 'PUT' && screen_time_min === undefined) {
+    return next(new ValidationError('screen_time_min is required'));
+  }
+
+  if (screen_time_min !== undefined && screen_time_min !== null && (isNaN(screen_time_min) || screen_time_min < 0)) {
+    return next(new ValidationError('Screen time must be a non-negative number of minutes'));
+  }
+
+  next();
+};
+
+/**
+ * Validate the character_type query parameter identifying an appearance
+ */
+const validateCharacterType = (req, res, next) => {
+  const { character_type } = req.query;
+
+  if (!character_type || character_type.trim().length === 0) {
+    return next(new BadRequestError('character_type query parameter is required'));
+  }
+
+  next();
+};
+
+/**
+ * Validate TARDIS data
+ */
+const validateTardisData = (req, res, next) => {
+  const { owner_doctor_id, type, chameleon_status, start_episode_id } = req.body;
+
+  if (req.method === 'POST') {
+    if (!owner_doctor_id || isNaN(owner_doctor_id) || owner_doctor_id <= 0) {
+      return next(new ValidationError('Valid owner_doctor_id is required'));
+    }
+  }
+
+  if (type !== undefined && type !== null && String(type).length > 100) {
+    return next(new ValidationError('Type must be at most 100 characters'));
+  }
+
+  if (chameleon_status !== undefined && chameleon_status !== null && String(chameleon_status).length > 50) {
+    return next(new ValidationError('Chameleon status must be at most 50 characters'));
+  }
+
+  if (start_episode_id !== undefined && start_episode_id !== null && (isNaN(start_episode_id) || start_episode_id <= 0)) {
+    return next(new ValidationError('Start episode ID must be a positive number'));
+  }
+
+  next();
+};
+
+/**
+ * Validate a TARDIS ownership transfer
+ */
+const validateTardisTransferData = (req, res, next) => {
+  const { doctor_id, start_episode_id, previous_end_episode_id } = req.body;
+
+  if (!doctor_id || isNaN(doctor_id) || doctor_id <= 0) {
+    return next(new ValidationError('Valid doctor_id is required'));
+  }
+
+  if (!start_episode_id || isNaN(start_episode_id) || start_episode_id <= 0) {
+    return next(new ValidationError('Valid start_episode_id is required'));
+  }
+
+  if (previous_end_episode_id !== undefined && previous_end_episode_id !== null &&
+      (isNaN(previous_end_episode_id) || previous_end_episode_id <= 0)) {
+    return next(new ValidationError('Previous end episode ID must be a positive number'));
+  }
+
+  req.body.doctor_id = parseInt(doctor_id);
+  next();
+};
+
 /**
  * Validate enemy threat level
  */
@@ -104,10 +399,10 @@ const validateThreatLevel = (req, res, next) => {
 };
 
 /**
- * Validate pagination parameters
+ * Validate pagination parameters (limit, offset, page)
  */
 const validatePagination = (req, res, next) => {
-  const { limit, offset } = req.query;
+  const { limit, offset, page } = req.query;
   
   if (limit !== undefined) {
     const limitNum = parseInt(limit);
@@ -124,6 +419,14 @@ const validatePagination = (req, res, next) => {
     }
     req.query.offset = offsetNum;
   }
+
+  if (page !== undefined) {
+    const pageNum = parseInt(page);
+    if (isNaN(pageNum) || pageNum <= 0) {
+      return next(new BadRequestError('Page must be a positive number'));
+    }
+    req.query.page = pageNum;
+  }
   
   next();
 };
@@ -133,6 +436,20 @@ module.exports = {
   validateRequiredFields,
   validateDoctorData,
   validateEpisodeData,
+  validateCompanionData,
+  validateDoctorLinkData,
+  validateEnemyData,
+  validateEnemyAppearanceData,
+  validatePlanetData,
+  validateSpeciesData,
+  validateSeasonData,
+  validateSeasonLookup,
+  validatePersonData,
+  validateCharacterData,
+  validateAppearanceData,
+  validateCharacterType,
+  validateTardisData,
+  validateTardisTransferData,
   validateThreatLevel,
   validatePagination
 };
\ No newline at end of file
@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/sequelize');
+
+// Materialized doctor_episode_summary, refreshed by statsService
+const DoctorStats = sequelize.define('DoctorStats', {
+  doctor_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  },
+  incarnation_number: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  actor_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  catchphrase: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  total_episodes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  total_companions: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  total_enemies: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  first_episode_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  last_episode_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  refreshed_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'DOCTOR_STATS',
+  timestamps: false
+});
+
+module.exports = DoctorStats;
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/sequelize');
+
+// Materialized enemy_appearance_summary, refreshed by statsService
+const EnemyStats = sequelize.define('EnemyStats', {
+  enemy_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  },
+  enemy_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  threat_level: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  species_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  home_planet: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  episode_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  episodes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  refreshed_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'ENEMY_STATS',
+  timestamps: false
+});
+
+module.exports = EnemyStats;
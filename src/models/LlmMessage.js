@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/sequelize');
+
+// One turn of an assistant conversation; assistant turns in SQL mode keep the query they ran
+const LlmMessage = sequelize.define('LlmMessage', {
+  message_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  session_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'LLM_SESSIONS',
+      key: 'session_id'
+    }
+  },
+  role: {
+    type: DataTypes.ENUM('user', 'assistant'),
+    allowNull: false
+  },
+  mode: {
+    type: DataTypes.ENUM('chat', 'sql'),
+    allowNull: false
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  sql: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  row_count: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'LLM_MESSAGES',
+  timestamps: false,
+  indexes: [
+    {
+      name: 'idx_llm_messages_session',
+      fields: ['session_id', 'message_id']
+    }
+  ]
+});
+
+module.exports = LlmMessage;
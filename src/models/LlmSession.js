@@ -0,0 +1,31 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/sequelize');
+
+// A conversation with the Ask-the-Database assistant
+const LlmSession = sequelize.define('LlmSession', {
+  session_id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  // Time of the latest message, used to order the session list
+  updated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'LLM_SESSIONS',
+  timestamps: false
+});
+
+module.exports = LlmSession;
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/sequelize');
+
+// Per-planet visit and native species/enemy/companion totals, refreshed by statsService
+const PlanetStats = sequelize.define('PlanetStats', {
+  planet_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  galaxy: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  episode_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  species_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  enemy_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  companion_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  first_visit_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  last_visit_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  refreshed_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'PLANET_STATS',
+  timestamps: false
+});
+
+module.exports = PlanetStats;
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/sequelize');
+
+// Per-season episode, runtime, enemy and planet totals, refreshed by statsService
+const SeasonStats = sequelize.define('SeasonStats', {
+  season_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true
+  },
+  series_number: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  year: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  episode_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  total_runtime_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  enemy_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  planet_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  first_air_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  last_air_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  refreshed_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'SEASON_STATS',
+  timestamps: false
+});
+
+module.exports = SeasonStats;
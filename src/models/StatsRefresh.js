@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/sequelize');
+
+// One row per materialized stats table: when it was last rebuilt or refreshed, and whether a refresh failed
+const StatsRefresh = sequelize.define('StatsRefresh', {
+  table_name: {
+    type: DataTypes.STRING(64),
+    primaryKey: true
+  },
+  last_full_rebuild_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_refresh_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Set when an incremental refresh fails; cleared by the next full rebuild
+  dirty_since: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_error: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  }
+}, {
+  tableName: 'STATS_REFRESH',
+  timestamps: false
+});
+
+module.exports = StatsRefresh;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../db/sequelize');
+
+const TardisOwnership = sequelize.define('TardisOwnership', {
+  ownership_id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  tardis_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'TARDIS',
+      key: 'tardis_id'
+    }
+  },
+  doctor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'DOCTOR',
+      key: 'doctor_id'
+    }
+  },
+  start_episode_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'EPISODES',
+      key: 'episode_id'
+    }
+  },
+  end_episode_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'EPISODES',
+      key: 'episode_id'
+    }
+  }
+}, {
+  tableName: 'TARDIS_OWNERSHIP',
+  timestamps: false,
+  indexes: [
+    {
+      name: 'idx_tardis_ownership_tardis',
+      fields: ['tardis_id']
+    }
+  ]
+});
+
+module.exports = TardisOwnership;
@@ -14,6 +14,14 @@ const DoctorCompanion = require('./DoctorCompanion');
 const EpisodeAppearance = require('./EpisodeAppearance');
 const EpisodeLocation = require('./EpisodeLocation');
 const EnemyEpisode = require('./EnemyEpisode');
+const TardisOwnership = require('./TardisOwnership');
+const DoctorStats = require('./DoctorStats');
+const EnemyStats = require('./EnemyStats');
+const SeasonStats = require('./SeasonStats');
+const PlanetStats = require('./PlanetStats');
+const StatsRefresh = require('./StatsRefresh');
+const LlmSession = require('./LlmSession');
+const LlmMessage = require('./LlmMessage');
 
 // ACTORS relationships
 Actor.hasMany(Doctor, { foreignKey: 'actor_id', as: 'doctors' });
@@ -27,6 +35,7 @@ Writer.hasMany(Episode, { foreignKey: 'writer_id', as: 'episodes' });
 Director.hasMany(Episode, { foreignKey: 'director_id', as: 'episodes' });
 
 // SEASONS relationships
+Season.belongsTo(Writer, { foreignKey: 'showrunner_id', as: 'showrunner' });
 Season.hasMany(Episode, { foreignKey: 'season_id', as: 'episodes' });
 
 // EPISODES relationships
@@ -78,6 +87,7 @@ Character.belongsToMany(Episode, {
 
 // TARDIS relationships
 Tardis.belongsTo(Doctor, { foreignKey: 'owner_doctor_id', as: 'owner' });
+Tardis.hasMany(TardisOwnership, { foreignKey: 'tardis_id', as: 'ownerships' });
 
 // PLANETS relationships
 Planet.hasMany(Species, { foreignKey: 'home_planet_id', as: 'species' });
@@ -122,6 +132,15 @@ EpisodeLocation.belongsTo(Planet, { foreignKey: 'planet_id', as: 'planet' });
 EnemyEpisode.belongsTo(Enemy, { foreignKey: 'enemy_id', as: 'enemy' });
 EnemyEpisode.belongsTo(Episode, { foreignKey: 'episode_id', as: 'episode' });
 
+TardisOwnership.belongsTo(Tardis, { foreignKey: 'tardis_id', as: 'tardis' });
+TardisOwnership.belongsTo(Doctor, { foreignKey: 'doctor_id', as: 'doctor' });
+TardisOwnership.belongsTo(Episode, { foreignKey: 'start_episode_id', as: 'startEpisode' });
+TardisOwnership.belongsTo(Episode, { foreignKey: 'end_episode_id', as: 'endEpisode' });
+
+// Assistant conversations
+LlmSession.hasMany(LlmMessage, { foreignKey: 'session_id', as: 'messages' });
+LlmMessage.belongsTo(LlmSession, { foreignKey: 'session_id', as: 'session' });
+
 module.exports = {
   Actor,
   Writer,
@@ -138,6 +157,14 @@ module.exports = {
   DoctorCompanion,
   EpisodeAppearance,
   EpisodeLocation,
-  EnemyEpisode
+  EnemyEpisode,
+  TardisOwnership,
+  DoctorStats,
+  EnemyStats,
+  SeasonStats,
+  PlanetStats,
+  StatsRefresh,
+  LlmSession,
+  LlmMessage
 };
 
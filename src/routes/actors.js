@@ -0,0 +1,63 @@
+/**
+ * Routes for Actor operations
+ * Clean, validated, and properly handled
+ */
+
+const express = require('express');
+const router = express.Router();
+const actorService = require('../services/actorService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendCreated, sendUpdated, sendDeleted, sendPaginated } = require('../utils/responseHandler');
+const { validateId, validatePersonData, validatePagination } = require('../middleware/validation');
+
+/**
+ * GET /api/actors - Get a page of actors
+ * Query: ?limit=&offset= or ?page=, ?sort=field,-field, ?fields=, ?include=, field filters such as ?name[like]=
+ */
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { rows, total, page, limit } = await actorService.getAllActors(req.query);
+  sendPaginated(res, rows, total, page, limit);
+}));
+
+/**
+ * GET /api/actors/:id - Get actor by ID
+ * Optional query: ?fields=, ?include=
+ */
+router.get('/:id', validateId(), asyncHandler(async (req, res) => {
+  const actor = await actorService.getActorById(req.params.id, req.query);
+  sendSuccess(res, actor);
+}));
+
+/**
+ * GET /api/actors/:id/filmography - Doctor incarnations and companions played
+ */
+router.get('/:id/filmography', validateId(), asyncHandler(async (req, res) => {
+  const filmography = await actorService.getActorFilmography(req.params.id);
+  sendSuccess(res, filmography);
+}));
+
+/**
+ * POST /api/actors - Create new actor
+ */
+router.post('/', validatePersonData, asyncHandler(async (req, res) => {
+  const actor = await actorService.createActor(req.body);
+  sendCreated(res, actor);
+}));
+
+/**
+ * PUT /api/actors/:id - Update actor
+ */
+router.put('/:id', validateId(), validatePersonData, asyncHandler(async (req, res) => {
+  const actor = await actorService.updateActor(req.params.id, req.body);
+  sendUpdated(res, actor);
+}));
+
+/**
+ * DELETE /api/actors/:id - Delete actor
+ */
+router.delete('/:id', validateId(), asyncHandler(async (req, res) => {
+  await actorService.deleteActor(req.params.id);
+  sendDeleted(res);
+}));
+
+module.exports = router;
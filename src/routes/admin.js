@@ -0,0 +1,29 @@
+/**
+ * Routes for maintenance tasks
+ */
+
+const express = require('express');
+const router = express.Router();
+const statsService = require('../services/statsService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess } = require('../utils/responseHandler');
+const { HTTP_STATUS } = require('../config/constants');
+
+/**
+ * GET /api/admin/stats/status - Staleness report for the materialized stats tables
+ */
+router.get('/stats/status', asyncHandler(async (req, res) => {
+  sendSuccess(res, await statsService.getStatus());
+}));
+
+/**
+ * POST /api/admin/stats/rebuild - Rebuild the stats tables from scratch
+ * Optional query: ?tables=doctor,enemy,season,planet (default all)
+ */
+router.post('/stats/rebuild', asyncHandler(async (req, res) => {
+  const types = statsService.parseTypes(req.query.tables);
+  const rebuilt = await statsService.rebuild(types);
+  sendSuccess(res, { rebuilt, status: await statsService.getStatus() }, HTTP_STATUS.OK, 'Stats tables rebuilt');
+}));
+
+module.exports = router;
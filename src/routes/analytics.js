@@ -0,0 +1,53 @@
+/**
+ * Routes for dashboard analytics
+ */
+
+const express = require('express');
+const router = express.Router();
+const analyticsService = require('../services/analyticsService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess } = require('../utils/responseHandler');
+const { validateId } = require('../middleware/validation');
+
+/**
+ * GET /api/analytics/enemies - Enemy co-appearances, most-faced Doctor, threat vs appearances and season streaks
+ * Optional query: ?top= enemies in the co-appearance matrix (default 15, max 50)
+ */
+router.get('/enemies', asyncHandler(async (req, res) => {
+  const analytics = await analyticsService.getEnemyAnalytics(req.query);
+  sendSuccess(res, analytics);
+}));
+
+/**
+ * GET /api/analytics/seasons - Per-season statistics with Classic/Modern/New era rollups
+ */
+router.get('/seasons', asyncHandler(async (req, res) => {
+  const analytics = await analyticsService.getSeasonAnalytics();
+  sendSuccess(res, analytics);
+}));
+
+/**
+ * GET /api/analytics/crew - Writer–director pairs, writers' seasons and showrunners, episode counts by era
+ */
+router.get('/crew', asyncHandler(async (req, res) => {
+  const analytics = await analyticsService.getCrewAnalytics();
+  sendSuccess(res, analytics);
+}));
+
+/**
+ * GET /api/analytics/crew/writers/:id/collaborators - Directors and showrunners a writer worked with
+ */
+router.get('/crew/writers/:id/collaborators', validateId(), asyncHandler(async (req, res) => {
+  const collaborators = await analyticsService.getCrewCollaborators('writer', req.params.id);
+  sendSuccess(res, collaborators);
+}));
+
+/**
+ * GET /api/analytics/crew/directors/:id/collaborators - Writers and showrunners a director worked with
+ */
+router.get('/crew/directors/:id/collaborators', validateId(), asyncHandler(async (req, res) => {
+  const collaborators = await analyticsService.getCrewCollaborators('director', req.params.id);
+  sendSuccess(res, collaborators);
+}));
+
+module.exports = router;
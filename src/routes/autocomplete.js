@@ -0,0 +1,22 @@
+/**
+ * Routes for typo-tolerant name autocomplete
+ */
+
+const express = require('express');
+const router = express.Router();
+const autocompleteService = require('../services/autocompleteService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess } = require('../utils/responseHandler');
+const { validatePagination } = require('../middleware/validation');
+
+/**
+ * GET /api/autocomplete?type=enemy&q=dalk - Top name suggestions with IDs
+ * Types: actor, writer, director, companion, character, enemy, planet, species, episode, season, doctor
+ * Optional query: ?limit= (default 10, max 25)
+ */
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const suggestions = await autocompleteService.suggest(req.query.type, req.query.q, req.query.limit);
+  sendSuccess(res, suggestions);
+}));
+
+module.exports = router;
@@ -0,0 +1,108 @@
+/**
+ * Routes for Character operations
+ * Clean, validated, and properly handled
+ */
+
+const express = require('express');
+const router = express.Router();
+const characterService = require('../services/characterService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendCreated, sendUpdated, sendDeleted, sendPaginated } = require('../utils/responseHandler');
+const {
+  validateId,
+  validateCharacterData,
+  validateAppearanceData,
+  validateCharacterType,
+  validatePagination
+} = require('../middleware/validation');
+
+/**
+ * GET /api/characters - Get a page of characters
+ * Query: ?limit=&offset= or ?page=, ?sort=field,-field, ?fields=, ?include=, field filters such as ?name[like]=
+ */
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { rows, total, page, limit } = await characterService.getAllCharacters(req.query);
+  sendPaginated(res, rows, total, page, limit);
+}));
+
+/**
+ * GET /api/characters/:id - Get character by ID
+ * Optional query: ?fields=, ?include=
+ */
+router.get('/:id', validateId(), asyncHandler(async (req, res) => {
+  const character = await characterService.getCharacterById(req.params.id, req.query);
+  sendSuccess(res, character);
+}));
+
+/**
+ * POST /api/characters - Create new character
+ */
+router.post('/', validateCharacterData, asyncHandler(async (req, res) => {
+  const character = await characterService.createCharacter(req.body);
+  sendCreated(res, character);
+}));
+
+/**
+ * PUT /api/characters/:id - Update character
+ */
+router.put('/:id', validateId(), validateCharacterData, asyncHandler(async (req, res) => {
+  const character = await characterService.updateCharacter(req.params.id, req.body);
+  sendUpdated(res, character);
+}));
+
+/**
+ * DELETE /api/characters/:id - Delete character
+ */
+router.delete('/:id', validateId(), asyncHandler(async (req, res) => {
+  await characterService.deleteCharacter(req.params.id);
+  sendDeleted(res);
+}));
+
+/**
+ * GET /api/characters/:id/screen-time - Screen-time summary for a character
+ */
+router.get('/:id/screen-time', validateId(), asyncHandler(async (req, res) => {
+  const summary = await characterService.getScreenTimeSummary(req.params.id);
+  sendSuccess(res, summary);
+}));
+
+/**
+ * GET /api/characters/:id/appearances - Get episode appearances for a character
+ */
+router.get('/:id/appearances', validateId(), asyncHandler(async (req, res) => {
+  const appearances = await characterService.getCharacterAppearances(req.params.id);
+  sendSuccess(res, appearances);
+}));
+
+/**
+ * POST /api/characters/:id/appearances - Add an episode appearance
+ * Body: { episode_id, character_type, screen_time_min? }
+ */
+router.post('/:id/appearances', validateId(), validateAppearanceData, asyncHandler(async (req, res) => {
+  const appearance = await characterService.addAppearance(req.params.id, req.body);
+  sendCreated(res, appearance, 'Appearance added successfully');
+}));
+
+/**
+ * PUT /api/characters/:id/appearances/:episodeId?character_type= - Update screen time
+ * Body: { screen_time_min }
+ */
+router.put('/:id/appearances/:episodeId', validateId(), validateId('episodeId'), validateCharacterType, validateAppearanceData, asyncHandler(async (req, res) => {
+  const appearance = await characterService.updateAppearance(
+    req.params.id,
+    req.params.episodeId,
+    req.query.character_type,
+    req.body
+  );
+  sendUpdated(res, appearance);
+}));
+
+/**
+ * DELETE /api/characters/:id/appearances/:episodeId?character_type= - Remove an appearance
+ */
+router.delete('/:id/appearances/:episodeId', validateId(), validateId('episodeId'), validateCharacterType, asyncHandler(async (req, res) => {
+  await characterService.removeAppearance(req.params.id, req.params.episodeId, req.query.character_type);
+  sendDeleted(res, 'Appearance removed successfully');
+}));
+
+module.exports = router;
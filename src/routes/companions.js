@@ -0,0 +1,83 @@
+/**
+ * Routes for Companion operations
+ * Clean, validated, and properly handled
+ */
+
+const express = require('express');
+const router = express.Router();
+const companionService = require('../services/companionService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendCreated, sendUpdated, sendDeleted, sendPaginated } = require('../utils/responseHandler');
+const { validateId, validateCompanionData, validateDoctorLinkData, validatePagination } = require('../middleware/validation');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * GET /api/companions - Get a page of companions
+ * Query: ?limit=&offset= or ?page=, ?sort=field,-field, ?fields=, ?include=, field filters such as ?name[like]=
+ */
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { rows, total, page, limit } = await companionService.getAllCompanions(req.query);
+  sendPaginated(res, rows, total, page, limit);
+}));
+
+/**
+ * GET /api/companions/:id - Get companion by ID
+ * Optional query: ?fields=, ?include=
+ */
+router.get('/:id', validateId(), asyncHandler(async (req, res) => {
+  const companion = await companionService.getCompanionById(req.params.id, req.query);
+  sendSuccess(res, companion);
+}));
+
+/**
+ * POST /api/companions - Create new companion
+ */
+router.post('/', validateCompanionData, asyncHandler(async (req, res) => {
+  const companion = await companionService.createCompanion(req.body);
+  sendCreated(res, companion);
+}));
+
+/**
+ * PUT /api/companions/:id - Update companion
+ */
+router.put('/:id', validateId(), validateCompanionData, asyncHandler(async (req, res) => {
+  const companion = await companionService.updateCompanion(req.params.id, req.body);
+  sendUpdated(res, companion);
+}));
+
+/**
+ * DELETE /api/companions/:id - Delete companion
+ */
+router.delete('/:id', validateId(), asyncHandler(async (req, res) => {
+  await companionService.deleteCompanion(req.params.id);
+  sendDeleted(res);
+}));
+
+/**
+ * POST /api/companions/:id/doctors - Attach a Doctor to a companion
+ * Body: { doctor_id, start_episode_id, end_episode_id? }
+ */
+router.post('/:id/doctors', validateId(), validateDoctorLinkData, asyncHandler(async (req, res) => {
+  const companion = await companionService.attachDoctor(req.params.id, req.body);
+  sendCreated(res, companion, 'Doctor linked successfully');
+}));
+
+/**
+ * DELETE /api/companions/:id/doctors/:doctorId - Detach a Doctor from a companion
+ * Optional query: ?start_episode_id= to remove a single stint
+ */
+router.delete('/:id/doctors/:doctorId', validateId(), validateId('doctorId'), asyncHandler(async (req, res) => {
+  const { start_episode_id } = req.query;
+  if (start_episode_id !== undefined && (isNaN(start_episode_id) || parseInt(start_episode_id) <= 0)) {
+    throw new BadRequestError('Invalid start_episode_id parameter');
+  }
+
+  const companion = await companionService.detachDoctor(
+    req.params.id,
+    req.params.doctorId,
+    start_episode_id ? parseInt(start_episode_id) : null
+  );
+  sendUpdated(res, companion, 'Doctor unlinked successfully');
+}));
+
+module.exports = router;
@@ -0,0 +1,63 @@
+/**
+ * Routes for Director operations
+ * Clean, validated, and properly handled
+ */
+
+const express = require('express');
+const router = express.Router();
+const directorService = require('../services/directorService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendCreated, sendUpdated, sendDeleted, sendPaginated } = require('../utils/responseHandler');
+const { validateId, validatePersonData, validatePagination } = require('../middleware/validation');
+
+/**
+ * GET /api/directors - Get a page of directors
+ * Query: ?limit=&offset= or ?page=, ?sort=field,-field, ?fields=, ?include=, field filters such as ?name[like]=
+ */
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { rows, total, page, limit } = await directorService.getAllDirectors(req.query);
+  sendPaginated(res, rows, total, page, limit);
+}));
+
+/**
+ * GET /api/directors/:id - Get director by ID
+ * Optional query: ?fields=, ?include=
+ */
+router.get('/:id', validateId(), asyncHandler(async (req, res) => {
+  const director = await directorService.getDirectorById(req.params.id, req.query);
+  sendSuccess(res, director);
+}));
+
+/**
+ * GET /api/directors/:id/filmography - Episodes directed, grouped by season
+ */
+router.get('/:id/filmography', validateId(), asyncHandler(async (req, res) => {
+  const filmography = await directorService.getDirectorFilmography(req.params.id);
+  sendSuccess(res, filmography);
+}));
+
+/**
+ * POST /api/directors - Create new director
+ */
+router.post('/', validatePersonData, asyncHandler(async (req, res) => {
+  const director = await directorService.createDirector(req.body);
+  sendCreated(res, director);
+}));
+
+/**
+ * PUT /api/directors/:id - Update director
+ */
+router.put('/:id', validateId(), validatePersonData, asyncHandler(async (req, res) => {
+  const director = await directorService.updateDirector(req.params.id, req.body);
+  sendUpdated(res, director);
+}));
+
+/**
+ * DELETE /api/directors/:id - Delete director
+ */
+router.delete('/:id', validateId(), asyncHandler(async (req, res) => {
+  await directorService.deleteDirector(req.params.id);
+  sendDeleted(res);
+}));
+
+module.exports = router;
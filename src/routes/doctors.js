@@ -7,22 +7,24 @@ const express = require('express');
 const router = express.Router();
 const doctorService = require('../services/doctorService');
 const asyncHandler = require('../utils/asyncHandler');
-const { sendSuccess, sendCreated, sendUpdated, sendDeleted } = require('../utils/responseHandler');
-const { validateId, validateDoctorData } = require('../middleware/validation');
+const { sendSuccess, sendCreated, sendUpdated, sendDeleted, sendPaginated } = require('../utils/responseHandler');
+const { validateId, validateDoctorData, validatePagination } = require('../middleware/validation');
 
 /**
- * GET /api/doctors - Get all doctors
+ * GET /api/doctors - Get a page of doctors
+ * Query: ?limit=&offset= or ?page=, ?sort=field,-field, ?fields=, ?include=, field filters such as ?incarnation_number[gte]=9
  */
-router.get('/', asyncHandler(async (req, res) => {
-  const doctors = await doctorService.getAllDoctors();
-  sendSuccess(res, doctors);
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { rows, total, page, limit } = await doctorService.getAllDoctors(req.query);
+  sendPaginated(res, rows, total, page, limit);
 }));
 
 /**
  * GET /api/doctors/:id - Get doctor by ID
+ * Optional query: ?fields=, ?include=
  */
 router.get('/:id', validateId(), asyncHandler(async (req, res) => {
-  const doctor = await doctorService.getDoctorById(req.params.id);
+  const doctor = await doctorService.getDoctorById(req.params.id, req.query);
   sendSuccess(res, doctor);
 }));
 
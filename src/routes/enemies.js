@@ -0,0 +1,86 @@
+/**
+ * Routes for Enemy operations
+ * Clean, validated, and properly handled
+ */
+
+const express = require('express');
+const router = express.Router();
+const enemyService = require('../services/enemyService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendCreated, sendUpdated, sendDeleted, sendPaginated } = require('../utils/responseHandler');
+const {
+  validateId,
+  validateEnemyData,
+  validateThreatLevel,
+  validateEnemyAppearanceData,
+  validatePagination
+} = require('../middleware/validation');
+
+/**
+ * GET /api/enemies - Get a page of enemies
+ * Query: ?limit=&offset= or ?page=, ?sort=field,-field, ?fields=, ?include=, field filters such as ?name[like]=
+ */
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { rows, total, page, limit } = await enemyService.getAllEnemies(req.query);
+  sendPaginated(res, rows, total, page, limit);
+}));
+
+/**
+ * GET /api/enemies/:id - Get enemy by ID
+ * Optional query: ?fields=, ?include=
+ */
+router.get('/:id', validateId(), asyncHandler(async (req, res) => {
+  const enemy = await enemyService.getEnemyById(req.params.id, req.query);
+  sendSuccess(res, enemy);
+}));
+
+/**
+ * POST /api/enemies - Create new enemy
+ */
+router.post('/', validateEnemyData, validateThreatLevel, asyncHandler(async (req, res) => {
+  const enemy = await enemyService.createEnemy(req.body);
+  sendCreated(res, enemy);
+}));
+
+/**
+ * PUT /api/enemies/:id - Update enemy
+ */
+router.put('/:id', validateId(), validateEnemyData, validateThreatLevel, asyncHandler(async (req, res) => {
+  const enemy = await enemyService.updateEnemy(req.params.id, req.body);
+  sendUpdated(res, enemy);
+}));
+
+/**
+ * DELETE /api/enemies/:id - Delete enemy
+ */
+router.delete('/:id', validateId(), asyncHandler(async (req, res) => {
+  await enemyService.deleteEnemy(req.params.id);
+  sendDeleted(res);
+}));
+
+/**
+ * GET /api/enemies/:id/episodes - Get episode appearances for an enemy
+ */
+router.get('/:id/episodes', validateId(), asyncHandler(async (req, res) => {
+  const appearances = await enemyService.getEnemyEpisodes(req.params.id);
+  sendSuccess(res, appearances);
+}));
+
+/**
+ * POST /api/enemies/:id/episodes - Add an episode appearance
+ * Body: { episode_id, role? }
+ */
+router.post('/:id/episodes', validateId(), validateEnemyAppearanceData, asyncHandler(async (req, res) => {
+  const appearance = await enemyService.addAppearance(req.params.id, req.body);
+  sendCreated(res, appearance, 'Appearance added successfully');
+}));
+
+/**
+ * DELETE /api/enemies/:id/episodes/:episodeId - Remove an episode appearance
+ */
+router.delete('/:id/episodes/:episodeId', validateId(), validateId('episodeId'), asyncHandler(async (req, res) => {
+  await enemyService.removeAppearance(req.params.id, req.params.episodeId);
+  sendDeleted(res, 'Appearance removed successfully');
+}));
+
+module.exports = router;
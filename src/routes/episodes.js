@@ -7,25 +7,51 @@ const express = require('express');
 const router = express.Router();
 const episodeService = require('../services/episodeService');
 const asyncHandler = require('../utils/asyncHandler');
-const { sendSuccess, sendCreated, sendUpdated, sendDeleted } = require('../utils/responseHandler');
-const { validateId, validateEpisodeData } = require('../middleware/validation');
+const {
+  sendSuccess,
+  sendCreated,
+  sendUpdated,
+  sendDeleted,
+  sendPaginated,
+  sendCursorPaginated
+} = require('../utils/responseHandler');
+const { validateId, validateEpisodeData, validatePagination } = require('../middleware/validation');
 
 /**
- * GET /api/episodes - Get all episodes
+ * GET /api/episodes - Get a page of episodes
+ * Query: ?limit=&offset= or ?page=, ?sort=field,-field, ?fields=, ?include=, field filters such as ?season_id=3&air_date[gte]=2005-01-01
  */
-router.get('/', asyncHandler(async (req, res) => {
-  const episodes = await episodeService.getAllEpisodes();
-  sendSuccess(res, episodes);
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { rows, total, page, limit } = await episodeService.getAllEpisodes(req.query);
+  sendPaginated(res, rows, total, page, limit);
+}));
+
+/**
+ * GET /api/episodes/timeline - Cursor-paginated episode timeline ordered by air date
+ * Query: ?limit=, ?cursor= (opaque, taken from pagination.next / pagination.prev), field filters
+ */
+router.get('/timeline', validatePagination, asyncHandler(async (req, res) => {
+  const { rows, limit, next, prev } = await episodeService.getEpisodeTimeline(req.query);
+  sendCursorPaginated(res, rows, { limit, next, prev });
 }));
 
 /**
  * GET /api/episodes/:id - Get episode by ID
+ * Optional query: ?fields=, ?include=
  */
 router.get('/:id', validateId(), asyncHandler(async (req, res) => {
-  const episode = await episodeService.getEpisodeById(req.params.id);
+  const episode = await episodeService.getEpisodeById(req.params.id, req.query);
   sendSuccess(res, episode);
 }));
 
+/**
+ * GET /api/episodes/:id/cast - Get episode cast ordered by screen time
+ */
+router.get('/:id/cast', validateId(), asyncHandler(async (req, res) => {
+  const cast = await episodeService.getEpisodeCast(req.params.id);
+  sendSuccess(res, cast);
+}));
+
 /**
  * POST /api/episodes - Create new episode
  */
@@ -0,0 +1,31 @@
+/**
+ * Routes for the relationship graph
+ */
+
+const express = require('express');
+const router = express.Router();
+const graphService = require('../services/graphService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess } = require('../utils/responseHandler');
+const { validateId } = require('../middleware/validation');
+
+/**
+ * GET /api/graph/neighbors/:type/:id - Nodes and edges around an entity
+ * Query: ?edges=doctor_companion,enemy_episode,episode_planet,character_episode,doctor_episode,
+ *   companion_episode,character_role,actor_role, ?depth= (default 1)
+ */
+router.get('/neighbors/:type/:id', validateId(), asyncHandler(async (req, res) => {
+  const graph = await graphService.getNeighbors(req.params.type, req.params.id, req.query);
+  sendSuccess(res, graph);
+}));
+
+/**
+ * GET /api/graph/path?from=companion:12&to=enemy:4 - Shortest path between two entities
+ * Query: ?edges= (as above), ?max_depth= (default 4)
+ */
+router.get('/path', asyncHandler(async (req, res) => {
+  const path = await graphService.findPath(req.query);
+  sendSuccess(res, path);
+}));
+
+module.exports = router;
@@ -1,124 +1,191 @@
 const express = require('express');
 const router = express.Router();
-const { OpenAI } = require('openai');
-const sequelize = require('../db/sequelize');
-const models = require('../models');
-
-// Setup OpenAI if we have an API key
-let openai = null;
-if (process.env.OPENAI_API_KEY) {
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-  });
-}
-
-async function getDatabaseSchema() {
-  const schema = {
-    tables: [
-      'ACTORS', 'WRITERS', 'DIRECTORS', 'SEASONS', 'EPISODES',
-      'DOCTOR', 'COMPANIONS', 'CHARACTER', 'TARDIS',
-      'PLANETS', 'ENEMIES', 'SPECIES',
-      'DOCTOR_COMPANIONS', 'EPISODE_APPEARANCES', 'EPISODE_LOCATIONS', 'ENEMY_EPISODES'
-    ],
-    relationships: [
-      'Doctors have companions (many-to-many)',
-      'Episodes have enemies (many-to-many)',
-      'Episodes visit planets (many-to-many)',
-      'Doctors are played by actors (one-to-many)',
-      'Episodes belong to seasons (many-to-one)'
-    ]
-  };
-  return schema;
-}
-
-async function executeSafeQuery(query) {
-  // Only allow SELECT queries for safety
-  if (!query.trim().toUpperCase().startsWith('SELECT')) {
-    throw new Error('Only SELECT queries are allowed');
+const llmService = require('../services/llmService');
+const llmSessionService = require('../services/llmSessionService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendCreated, sendDeleted, sendPaginated } = require('../utils/responseHandler');
+const { validatePagination } = require('../middleware/validation');
+const { parsePagination } = require('../utils/listQuery');
+
+const MODES = ['chat', 'sql'];
+
+/**
+ * Check the service and the request body shared by /query and /query/stream
+ * @returns {{ status: number, body: Object } | null} an error response, or null when the request is usable
+ */
+const checkQueryRequest = (body) => {
+  if (!llmService.configured) {
+    return { status: 503, body: { error: `LLM service not configured. ${llmService.configError}` } };
   }
-  try {
-    const [results] = await sequelize.query(query);
-    return results;
-  } catch (error) {
-    throw new Error(`Query error: ${error.message}`);
+  if (typeof body.query !== 'string' || body.query.trim() === '') {
+    return { status: 400, body: { error: 'Query is required and must be a non-empty string' } };
+  }
+  if (body.mode !== undefined && !MODES.includes(body.mode)) {
+    return { status: 400, body: { error: `Invalid mode. Use one of: ${MODES.join(', ')}` } };
+  }
+  return null;
+};
+
+/**
+ * Answer a question, replaying and then extending its session when one is given
+ */
+const answerQuery = async ({ query, mode = 'chat', session_id: sessionId }, progress = {}) => {
+  const history = sessionId ? await llmSessionService.getHistory(sessionId, { mode }) : [];
+  const result = mode === 'sql'
+    ? await llmService.answerWithSql(query, history, progress)
+    : await llmService.chat(query, history, progress);
+
+  if (sessionId) {
+    await llmSessionService.recordTurn(sessionId, query, result);
+    result.session_id = sessionId;
+  }
+  return result;
+};
+
+/**
+ * Map a failure to a status and JSON body
+ */
+const errorResponse = (error) => {
+  // Unknown sessions and rejected or failing generated SQL; violations are { code, message } objects
+  if (error.isOperational) {
+    return { status: error.statusCode, body: { error: error.message, sql: error.sql, violations: error.errors } };
   }
-}
-
-// Natural language query endpoint
-router.post('/query', async (req, res) => {
-  try {
-    if (!openai) {
-      return res.status(503).json({
-        error: 'LLM service not configured. Please set OPENAI_API_KEY in .env file.'
-      });
-    }
-
-    const { query } = req.body;
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
-    }
 
-    // Get database schema for context
-    const schema = await getDatabaseSchema();
+  console.error('LLM error:', error);
 
-    // Get sample data for context
-    const sampleDoctors = await models.Doctor.findAll({ limit: 3, include: [{ model: models.Actor, as: 'actor' }] });
-    const sampleEpisodes = await models.Episode.findAll({ limit: 3, include: [{ model: models.Season, as: 'season' }] });
-    const sampleEnemies = await models.Enemy.findAll({ limit: 3 });
+  // Handle specific OpenAI API errors (the v4 SDK puts the HTTP status on the error itself)
+  const status = error.status || error.response?.status;
+  if (status === 429) {
+    return {
+      status: 429,
+      body: {
+        error: error.error?.message || error.response?.data?.error?.message || 'API quota exceeded. Please check your OpenAI billing and plan details.',
+        details: 'Note: ChatGPT Plus subscription is separate from OpenAI API access. You need to set up billing at platform.openai.com/account/billing',
+        codeStatus: 'The LLM integration code is complete and working. This is a billing/quota configuration issue, not a code problem.'
+      }
+    };
+  }
 
-    const systemPrompt = `Help users query our Doctor Who database. Tables: ${schema.tables.join(', ')}.
+  if (status === 401) {
+    return {
+      status: 401,
+      body: {
+        error: 'Invalid API key. Please check OPENAI_API_KEY (or LLM_API_KEY) in the .env file.',
+        details: 'Make sure the API key starts with "sk-" and is valid.'
+      }
+    };
+  }
 
-Relationships: ${schema.relationships.join(', ')}
+  return {
+    status: 500,
+    body: {
+      error: error.message || 'An error occurred while processing your query.',
+      details: error.response?.data?.error?.message || 'Please check your API key and billing status.'
+    }
+  };
+};
+
+/**
+ * POST /api/llm/query - Ask a question about the database
+ * Body: { query, mode?, session_id? }. mode "chat" (default) answers from the schema;
+ * mode "sql" generates a SELECT, runs it read-only and answers from the rows it returned.
+ * With a session_id, earlier turns are sent along and the new turn is saved to the session.
+ */
+router.post('/query', async (req, res) => {
+  const invalid = checkQueryRequest(req.body);
+  if (invalid) {
+    return res.status(invalid.status).json(invalid.body);
+  }
 
-Sample data:
-Doctors: ${JSON.stringify(sampleDoctors.map(d => ({ id: d.doctor_id, incarnation: d.incarnation_number, actor: d.actor?.name })))}
-Episodes: ${JSON.stringify(sampleEpisodes.map(e => ({ id: e.episode_id, title: e.title, season: e.season?.series_number })))}
-Enemies: ${JSON.stringify(sampleEnemies.map(e => ({ id: e.enemy_id, name: e.name, threat: e.threat_level })))}
+  try {
+    res.json(await answerQuery(req.body));
+  } catch (error) {
+    const { status, body } = errorResponse(error);
+    res.status(status).json(body);
+  }
+});
 
-Answer questions about the database and suggest relevant API endpoints when helpful.`;
+/**
+ * POST /api/llm/query/stream - Same as /query, answered as Server-Sent Events:
+ *   event: step    { step: 'generating_sql' | 'generated_sql' | 'executed', sql?, row_count? }
+ *   event: token   { delta } - answer text as the model writes it
+ *   event: result  the same payload /query returns
+ *   event: error   { status, error, sql?, violations? }
+ * Closing the connection aborts the provider request; a cancelled turn is not saved to its session.
+ */
+router.post('/query/stream', async (req, res) => {
+  const invalid = checkQueryRequest(req.body);
+  if (invalid) {
+    return res.status(invalid.status).json(invalid.body);
+  }
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: query }
-      ],
-      temperature: 0.7,
-      max_tokens: 500
-    });
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
 
-    const answer = completion.choices[0].message.content;
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const send = (event, data) => {
+    if (!controller.signal.aborted) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
 
-    res.json({
-      answer,
-      query: query,
-      model: 'gpt-3.5-turbo'
+  try {
+    const result = await answerQuery(req.body, {
+      signal: controller.signal,
+      onStep: step => send('step', step),
+      onToken: delta => send('token', { delta })
     });
+    send('result', result);
   } catch (error) {
-    console.error('LLM error:', error);
-
-    // Handle specific OpenAI API errors
-    if (error.response && error.response.status === 429) {
-      return res.status(429).json({
-        error: error.response.data?.error?.message || 'API quota exceeded. Please check your OpenAI billing and plan details.',
-        details: 'Note: ChatGPT Plus subscription is separate from OpenAI API access. You need to set up billing at platform.openai.com/account/billing',
-        codeStatus: 'The LLM integration code is complete and working. This is a billing/quota configuration issue, not a code problem.'
-      });
-    }
-
-    if (error.response && error.response.status === 401) {
-      return res.status(401).json({
-        error: 'Invalid API key. Please check your OPENAI_API_KEY in the .env file.',
-        details: 'Make sure the API key starts with "sk-" and is valid.'
-      });
+    // Nobody is listening after a cancel
+    if (!controller.signal.aborted) {
+      const { status, body } = errorResponse(error);
+      send('error', { status, ...body });
     }
-
-    res.status(500).json({
-      error: error.message || 'An error occurred while processing your query.',
-      details: error.response?.data?.error?.message || 'Please check your API key and billing status.'
-    });
   }
+  res.end();
 });
 
+/**
+ * POST /api/llm/sessions - Start a conversation
+ * Body: { title? } (defaults to the first question)
+ */
+router.post('/sessions', asyncHandler(async (req, res) => {
+  const session = await llmSessionService.createSession(req.body);
+  sendCreated(res, session);
+}));
+
+/**
+ * GET /api/llm/sessions - Conversations, most recently active first, with message counts
+ */
+router.get('/sessions', validatePagination, asyncHandler(async (req, res) => {
+  const { limit, offset, page } = parsePagination(req.query);
+  const { rows, total } = await llmSessionService.listSessions({ limit, offset });
+  sendPaginated(res, rows, total, page, limit);
+}));
+
+/**
+ * GET /api/llm/sessions/:id - A conversation with all of its messages
+ */
+router.get('/sessions/:id', asyncHandler(async (req, res) => {
+  const session = await llmSessionService.getSession(req.params.id);
+  sendSuccess(res, session);
+}));
+
+/**
+ * DELETE /api/llm/sessions/:id - Delete a conversation and its messages
+ */
+router.delete('/sessions/:id', asyncHandler(async (req, res) => {
+  await llmSessionService.deleteSession(req.params.id);
+  sendDeleted(res);
+}));
+
 module.exports = router;
 
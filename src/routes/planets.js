@@ -0,0 +1,87 @@
+/**
+ * Routes for Planet operations
+ * Clean, validated, and properly handled
+ */
+
+const express = require('express');
+const router = express.Router();
+const planetService = require('../services/planetService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendCreated, sendUpdated, sendDeleted, sendPaginated } = require('../utils/responseHandler');
+const { validateId, validatePlanetData, validatePagination } = require('../middleware/validation');
+
+/**
+ * GET /api/planets - Get a page of planets
+ * Query: ?limit=&offset= or ?page=, ?sort=field,-field, ?fields=, ?include=, field filters such as ?galaxy=
+ */
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { rows, total, page, limit } = await planetService.getAllPlanets(req.query);
+  sendPaginated(res, rows, total, page, limit);
+}));
+
+/**
+ * GET /api/planets/:id - Get planet by ID
+ * Optional query: ?fields=, ?include=
+ */
+router.get('/:id', validateId(), asyncHandler(async (req, res) => {
+  const planet = await planetService.getPlanetById(req.params.id, req.query);
+  sendSuccess(res, planet);
+}));
+
+/**
+ * POST /api/planets - Create new planet
+ */
+router.post('/', validatePlanetData, asyncHandler(async (req, res) => {
+  const planet = await planetService.createPlanet(req.body);
+  sendCreated(res, planet);
+}));
+
+/**
+ * PUT /api/planets/:id - Update planet
+ */
+router.put('/:id', validateId(), validatePlanetData, asyncHandler(async (req, res) => {
+  const planet = await planetService.updatePlanet(req.params.id, req.body);
+  sendUpdated(res, planet);
+}));
+
+/**
+ * DELETE /api/planets/:id - Delete planet
+ */
+router.delete('/:id', validateId(), asyncHandler(async (req, res) => {
+  await planetService.deletePlanet(req.params.id);
+  sendDeleted(res);
+}));
+
+/**
+ * GET /api/planets/:id/species - Get species native to a planet
+ */
+router.get('/:id/species', validateId(), asyncHandler(async (req, res) => {
+  const species = await planetService.getPlanetSpecies(req.params.id);
+  sendSuccess(res, species);
+}));
+
+/**
+ * GET /api/planets/:id/enemies - Get enemies from a planet
+ */
+router.get('/:id/enemies', validateId(), asyncHandler(async (req, res) => {
+  const enemies = await planetService.getPlanetEnemies(req.params.id);
+  sendSuccess(res, enemies);
+}));
+
+/**
+ * GET /api/planets/:id/companions - Get companions from a planet
+ */
+router.get('/:id/companions', validateId(), asyncHandler(async (req, res) => {
+  const companions = await planetService.getPlanetCompanions(req.params.id);
+  sendSuccess(res, companions);
+}));
+
+/**
+ * GET /api/planets/:id/episodes - Get episodes set on a planet
+ */
+router.get('/:id/episodes', validateId(), asyncHandler(async (req, res) => {
+  const episodes = await planetService.getPlanetEpisodes(req.params.id);
+  sendSuccess(res, episodes);
+}));
+
+module.exports = router;
@@ -0,0 +1,28 @@
+/**
+ * Routes for full-text search
+ */
+
+const express = require('express');
+const router = express.Router();
+const searchService = require('../services/searchService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendPaginated } = require('../utils/responseHandler');
+const { validatePagination } = require('../middleware/validation');
+const { parsePagination } = require('../utils/listQuery');
+
+/**
+ * GET /api/search?q= - Ranked search across episodes, characters, planets, species, enemies and writers
+ * Query: ?type=episode,enemy to restrict entity types, ?limit=&offset= or ?page=
+ * Each result carries { type, id, title, score, highlights } with matches wrapped in <mark>
+ */
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { limit, offset, page } = parsePagination(req.query);
+  const types = req.query.type
+    ? String(req.query.type).split(',').map(type => type.trim()).filter(Boolean)
+    : undefined;
+
+  const { rows, total } = await searchService.search(req.query.q, { types, limit, offset });
+  sendPaginated(res, rows, total, page, limit);
+}));
+
+module.exports = router;
@@ -0,0 +1,72 @@
+/**
+ * Routes for Season operations
+ * Clean, validated, and properly handled
+ */
+
+const express = require('express');
+const router = express.Router();
+const seasonService = require('../services/seasonService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendCreated, sendUpdated, sendDeleted, sendPaginated } = require('../utils/responseHandler');
+const { validateId, validateSeasonData, validateSeasonLookup, validatePagination } = require('../middleware/validation');
+
+/**
+ * GET /api/seasons - Get a page of seasons
+ * Query: ?limit=&offset= or ?page=, ?sort=field,-field, ?fields=, ?include=, field filters such as ?year[gte]=2005
+ */
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { rows, total, page, limit } = await seasonService.getAllSeasons(req.query);
+  sendPaginated(res, rows, total, page, limit);
+}));
+
+/**
+ * GET /api/seasons/series/:seriesNumber - Get season(s) by series number
+ * Optional query: ?year= to pick between classic and modern numbering
+ */
+router.get('/series/:seriesNumber', validateId('seriesNumber'), validateSeasonLookup, asyncHandler(async (req, res) => {
+  const seasons = await seasonService.getSeasonBySeriesNumber(req.params.seriesNumber, req.query.year);
+  sendSuccess(res, seasons);
+}));
+
+/**
+ * GET /api/seasons/:id - Get season by ID
+ * Optional query: ?fields=, ?include=
+ */
+router.get('/:id', validateId(), asyncHandler(async (req, res) => {
+  const season = await seasonService.getSeasonById(req.params.id, req.query);
+  sendSuccess(res, season);
+}));
+
+/**
+ * GET /api/seasons/:id/episodes - Get episodes of a season ordered by episode number
+ */
+router.get('/:id/episodes', validateId(), asyncHandler(async (req, res) => {
+  const episodes = await seasonService.getSeasonEpisodes(req.params.id);
+  sendSuccess(res, episodes);
+}));
+
+/**
+ * POST /api/seasons - Create new season
+ */
+router.post('/', validateSeasonData, asyncHandler(async (req, res) => {
+  const season = await seasonService.createSeason(req.body);
+  sendCreated(res, season);
+}));
+
+/**
+ * PUT /api/seasons/:id - Update season
+ */
+router.put('/:id', validateId(), validateSeasonData, asyncHandler(async (req, res) => {
+  const season = await seasonService.updateSeason(req.params.id, req.body);
+  sendUpdated(res, season);
+}));
+
+/**
+ * DELETE /api/seasons/:id - Delete season (only when it has no episodes)
+ */
+router.delete('/:id', validateId(), asyncHandler(async (req, res) => {
+  await seasonService.deleteSeason(req.params.id);
+  sendDeleted(res);
+}));
+
+module.exports = router;
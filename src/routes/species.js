@@ -0,0 +1,79 @@
+/**
+ * Routes for Species operations
+ * Clean, validated, and properly handled
+ */
+
+const express = require('express');
+const router = express.Router();
+const speciesService = require('../services/speciesService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendCreated, sendUpdated, sendDeleted, sendPaginated } = require('../utils/responseHandler');
+const { validateId, validateSpeciesData, validatePagination } = require('../middleware/validation');
+
+/**
+ * GET /api/species - Get a page of species
+ * Query: ?limit=&offset= or ?page=, ?sort=field,-field, ?fields=, ?include=, field filters such as ?technology_level=Advanced
+ */
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { rows, total, page, limit } = await speciesService.getAllSpecies(req.query);
+  sendPaginated(res, rows, total, page, limit);
+}));
+
+/**
+ * GET /api/species/:id - Get species by ID
+ * Optional query: ?fields=, ?include=
+ */
+router.get('/:id', validateId(), asyncHandler(async (req, res) => {
+  const species = await speciesService.getSpeciesById(req.params.id, req.query);
+  sendSuccess(res, species);
+}));
+
+/**
+ * POST /api/species - Create new species
+ */
+router.post('/', validateSpeciesData, asyncHandler(async (req, res) => {
+  const species = await speciesService.createSpecies(req.body);
+  sendCreated(res, species);
+}));
+
+/**
+ * PUT /api/species/:id - Update species
+ */
+router.put('/:id', validateId(), validateSpeciesData, asyncHandler(async (req, res) => {
+  const species = await speciesService.updateSpecies(req.params.id, req.body);
+  sendUpdated(res, species);
+}));
+
+/**
+ * DELETE /api/species/:id - Delete species
+ */
+router.delete('/:id', validateId(), asyncHandler(async (req, res) => {
+  await speciesService.deleteSpecies(req.params.id);
+  sendDeleted(res);
+}));
+
+/**
+ * GET /api/species/:id/companions - Get companions of a species
+ */
+router.get('/:id/companions', validateId(), asyncHandler(async (req, res) => {
+  const companions = await speciesService.getSpeciesCompanions(req.params.id);
+  sendSuccess(res, companions);
+}));
+
+/**
+ * GET /api/species/:id/enemies - Get enemies of a species
+ */
+router.get('/:id/enemies', validateId(), asyncHandler(async (req, res) => {
+  const enemies = await speciesService.getSpeciesEnemies(req.params.id);
+  sendSuccess(res, enemies);
+}));
+
+/**
+ * GET /api/species/:id/characters - Get characters of a species
+ */
+router.get('/:id/characters', validateId(), asyncHandler(async (req, res) => {
+  const characters = await speciesService.getSpeciesCharacters(req.params.id);
+  sendSuccess(res, characters);
+}));
+
+module.exports = router;
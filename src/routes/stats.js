@@ -0,0 +1,39 @@
+/**
+ * Routes for the materialized statistics tables
+ */
+
+const express = require('express');
+const router = express.Router();
+const statsService = require('../services/statsService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess } = require('../utils/responseHandler');
+
+/**
+ * GET /api/stats/doctors - Episodes, companions, enemies and era dates per Doctor
+ */
+router.get('/doctors', asyncHandler(async (req, res) => {
+  sendSuccess(res, await statsService.getStats('doctor'));
+}));
+
+/**
+ * GET /api/stats/enemies - Appearance counts and episode lists per enemy
+ */
+router.get('/enemies', asyncHandler(async (req, res) => {
+  sendSuccess(res, await statsService.getStats('enemy'));
+}));
+
+/**
+ * GET /api/stats/seasons - Episodes, runtime, enemies and planets per season
+ */
+router.get('/seasons', asyncHandler(async (req, res) => {
+  sendSuccess(res, await statsService.getStats('season'));
+}));
+
+/**
+ * GET /api/stats/planets - Visits and natives (species, enemies, companions) per planet
+ */
+router.get('/planets', asyncHandler(async (req, res) => {
+  sendSuccess(res, await statsService.getStats('planet'));
+}));
+
+module.exports = router;
@@ -0,0 +1,86 @@
+/**
+ * Routes for TARDIS operations
+ * Clean, validated, and properly handled
+ */
+
+const express = require('express');
+const router = express.Router();
+const tardisService = require('../services/tardisService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendCreated, sendUpdated, sendDeleted, sendPaginated } = require('../utils/responseHandler');
+const { validateId, validateTardisData, validateTardisTransferData, validatePagination } = require('../middleware/validation');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * GET /api/tardis - Get a page of TARDISes
+ * Query: ?limit=&offset= or ?page=, ?sort=field,-field, ?fields=, ?include=, field filters such as ?chameleon_status=
+ */
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { rows, total, page, limit } = await tardisService.getAllTardis(req.query);
+  sendPaginated(res, rows, total, page, limit);
+}));
+
+/**
+ * GET /api/tardis/:id - Get TARDIS by ID
+ * Optional query: ?fields=, ?include=
+ */
+router.get('/:id', validateId(), asyncHandler(async (req, res) => {
+  const tardis = await tardisService.getTardisById(req.params.id, req.query);
+  sendSuccess(res, tardis);
+}));
+
+/**
+ * POST /api/tardis - Create new TARDIS
+ */
+router.post('/', validateTardisData, asyncHandler(async (req, res) => {
+  const tardis = await tardisService.createTardis(req.body);
+  sendCreated(res, tardis);
+}));
+
+/**
+ * PUT /api/tardis/:id - Update TARDIS (type, chameleon_status)
+ */
+router.put('/:id', validateId(), validateTardisData, asyncHandler(async (req, res) => {
+  const tardis = await tardisService.updateTardis(req.params.id, req.body);
+  sendUpdated(res, tardis);
+}));
+
+/**
+ * DELETE /api/tardis/:id - Delete TARDIS
+ */
+router.delete('/:id', validateId(), asyncHandler(async (req, res) => {
+  await tardisService.deleteTardis(req.params.id);
+  sendDeleted(res);
+}));
+
+/**
+ * GET /api/tardis/:id/history - Get ownership history
+ */
+router.get('/:id/history', validateId(), asyncHandler(async (req, res) => {
+  const history = await tardisService.getOwnershipHistory(req.params.id);
+  sendSuccess(res, history);
+}));
+
+/**
+ * GET /api/tardis/:id/owner?episode_id= - Who owned the TARDIS when an episode aired
+ */
+router.get('/:id/owner', validateId(), asyncHandler(async (req, res) => {
+  const episodeId = parseInt(req.query.episode_id);
+  if (isNaN(episodeId) || episodeId <= 0) {
+    throw new BadRequestError('Invalid episode_id parameter');
+  }
+
+  const owner = await tardisService.getOwnerAtEpisode(req.params.id, episodeId);
+  sendSuccess(res, owner);
+}));
+
+/**
+ * POST /api/tardis/:id/transfer - Transfer ownership to another Doctor
+ * Body: { doctor_id, start_episode_id, previous_end_episode_id? }
+ */
+router.post('/:id/transfer', validateId(), validateTardisTransferData, asyncHandler(async (req, res) => {
+  const history = await tardisService.transferOwnership(req.params.id, req.body);
+  sendCreated(res, history, 'Ownership transferred successfully');
+}));
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * Routes for era timelines
+ */
+
+const express = require('express');
+const router = express.Router();
+const timelineService = require('../services/timelineService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess } = require('../utils/responseHandler');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * GET /api/timeline/doctors - Doctor regeneration chain
+ * Ordered incarnations with actor, era dates, episode counts, handovers/gaps/overlaps and data issues
+ */
+router.get('/doctors', asyncHandler(async (req, res) => {
+  const timeline = await timelineService.getDoctorTimeline();
+  sendSuccess(res, timeline);
+}));
+
+/**
+ * GET /api/timeline/companions - Companion tenures resolved to air-date ranges
+ * Includes companions who travelled together and companions who travelled with more than one Doctor
+ */
+router.get('/companions', asyncHandler(async (req, res) => {
+  const timeline = await timelineService.getCompanionTimeline();
+  sendSuccess(res, timeline);
+}));
+
+/**
+ * GET /api/timeline/companions/aboard?episode_id= - Which companions were aboard when an episode aired
+ */
+router.get('/companions/aboard', asyncHandler(async (req, res) => {
+  const episodeId = parseInt(req.query.episode_id);
+  if (isNaN(episodeId) || episodeId <= 0) {
+    throw new BadRequestError('Invalid episode_id parameter');
+  }
+
+  const result = await timelineService.getCompanionsAboard(episodeId);
+  sendSuccess(res, result);
+}));
+
+module.exports = router;
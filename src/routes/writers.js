@@ -0,0 +1,63 @@
+/**
+ * Routes for Writer operations
+ * Clean, validated, and properly handled
+ */
+
+const express = require('express');
+const router = express.Router();
+const writerService = require('../services/writerService');
+const asyncHandler = require('../utils/asyncHandler');
+const { sendSuccess, sendCreated, sendUpdated, sendDeleted, sendPaginated } = require('../utils/responseHandler');
+const { validateId, validatePersonData, validatePagination } = require('../middleware/validation');
+
+/**
+ * GET /api/writers - Get a page of writers
+ * Query: ?limit=&offset= or ?page=, ?sort=field,-field, ?fields=, ?include=, field filters such as ?name[like]=
+ */
+router.get('/', validatePagination, asyncHandler(async (req, res) => {
+  const { rows, total, page, limit } = await writerService.getAllWriters(req.query);
+  sendPaginated(res, rows, total, page, limit);
+}));
+
+/**
+ * GET /api/writers/:id - Get writer by ID
+ * Optional query: ?fields=, ?include=
+ */
+router.get('/:id', validateId(), asyncHandler(async (req, res) => {
+  const writer = await writerService.getWriterById(req.params.id, req.query);
+  sendSuccess(res, writer);
+}));
+
+/**
+ * GET /api/writers/:id/filmography - Episodes written and seasons showrun
+ */
+router.get('/:id/filmography', validateId(), asyncHandler(async (req, res) => {
+  const filmography = await writerService.getWriterFilmography(req.params.id);
+  sendSuccess(res, filmography);
+}));
+
+/**
+ * POST /api/writers - Create new writer
+ */
+router.post('/', validatePersonData, asyncHandler(async (req, res) => {
+  const writer = await writerService.createWriter(req.body);
+  sendCreated(res, writer);
+}));
+
+/**
+ * PUT /api/writers/:id - Update writer
+ */
+router.put('/:id', validateId(), validatePersonData, asyncHandler(async (req, res) => {
+  const writer = await writerService.updateWriter(req.params.id, req.body);
+  sendUpdated(res, writer);
+}));
+
+/**
+ * DELETE /api/writers/:id - Delete writer
+ */
+router.delete('/:id', validateId(), asyncHandler(async (req, res) => {
+  await writerService.deleteWriter(req.params.id);
+  sendDeleted(res);
+}));
+
+module.exports = router;
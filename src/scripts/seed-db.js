@@ -2,6 +2,8 @@ const models = require('../models');
 const sequelize = require('../db/sequelize');
 const https = require('https');
 const http = require('http');
+const { normalizeName, namesMatch } = require('../utils/nameMatching');
+const statsService = require('../services/statsService');
 
 /**
  * Database Seeding Script with Real API Data - 2000+ Rows
@@ -97,24 +99,6 @@ const API_SOURCES = {
   WIKIQUOTE_DOCTOR_WHO: 'https://en.wikiquote.org/api.php?action=query&prop=extracts&titles=Doctor_Who&format=json',
 };
 
-/**
- * Normalize name for fuzzy matching between APIs
- * Converts to lowercase, trims, removes extra spaces
- */
-function normalizeName(name) {
-  if (!name) return '';
-  return name.toLowerCase().trim().replace(/\s+/g, ' ');
-}
-
-/**
- * Fuzzy match two names (handles variations like "David Tennant" vs "David Tennant")
- */
-function namesMatch(name1, name2) {
-  const n1 = normalizeName(name1);
-  const n2 = normalizeName(name2);
-  return n1 === n2 || n1.includes(n2) || n2.includes(n1);
-}
-
 /**
  * Extract field from TARDIS Wiki wikitext using regex
  * Handles MediaWiki infobox format: | field = value
@@ -2466,6 +2450,13 @@ async function seedDatabase() {
       console.log(`✅ ${enemyEpisodesData.length} enemy-episode relationships seeded`);
     }
 
+    // ============================================
+    // MATERIALIZED STATS
+    // ============================================
+    console.log('\n📊 Building materialized stats tables...');
+    const statsReport = await statsService.rebuild();
+    statsReport.forEach(({ table, rows }) => console.log(`✅ ${table}: ${rows} rows`));
+
     // ============================================
     // SUMMARY
     // ============================================
@@ -1,5 +1,6 @@
 const sequelize = require('../db/sequelize');
 const models = require('../models');
+const searchService = require('../services/searchService');
 
 async function syncDatabase() {
   try {
@@ -25,6 +26,18 @@ async function syncDatabase() {
       }
     });
 
+    // FULLTEXT indexes backing /api/search (column sets must match searchService exactly)
+    console.log('Adding search indexes...');
+    for (const [type, { table, fields }] of Object.entries(searchService.entities)) {
+      const columns = fields.map(field => `\`${field}\``).join(', ');
+      await sequelize.query(`
+        ALTER TABLE \`${table}\`
+        ADD FULLTEXT INDEX ft_${type}_search (${columns})
+      `).catch(err => {
+        console.log(`Note: Search index on ${table} already exists or error:`, err.message);
+      });
+    }
+
     console.log('Database setup complete!');
     process.exit(0);
   } catch (error) {
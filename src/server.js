@@ -5,6 +5,23 @@ require('dotenv').config();
 
 const doctorsRouter = require('./routes/doctors');
 const episodesRouter = require('./routes/episodes');
+const companionsRouter = require('./routes/companions');
+const enemiesRouter = require('./routes/enemies');
+const planetsRouter = require('./routes/planets');
+const speciesRouter = require('./routes/species');
+const seasonsRouter = require('./routes/seasons');
+const actorsRouter = require('./routes/actors');
+const writersRouter = require('./routes/writers');
+const directorsRouter = require('./routes/directors');
+const charactersRouter = require('./routes/characters');
+const tardisRouter = require('./routes/tardis');
+const searchRouter = require('./routes/search');
+const autocompleteRouter = require('./routes/autocomplete');
+const timelineRouter = require('./routes/timeline');
+const graphRouter = require('./routes/graph');
+const analyticsRouter = require('./routes/analytics');
+const statsRouter = require('./routes/stats');
+const adminRouter = require('./routes/admin');
 const queriesRouter = require('./routes/queries');
 const llmRouter = require('./routes/llm');
 const path = require('path');
@@ -35,6 +52,23 @@ app.get('/', (req, res) => {
 
 app.use('/api/doctors', doctorsRouter);
 app.use('/api/episodes', episodesRouter);
+app.use('/api/companions', companionsRouter);
+app.use('/api/enemies', enemiesRouter);
+app.use('/api/planets', planetsRouter);
+app.use('/api/species', speciesRouter);
+app.use('/api/seasons', seasonsRouter);
+app.use('/api/actors', actorsRouter);
+app.use('/api/writers', writersRouter);
+app.use('/api/directors', directorsRouter);
+app.use('/api/characters', charactersRouter);
+app.use('/api/tardis', tardisRouter);
+app.use('/api/search', searchRouter);
+app.use('/api/autocomplete', autocompleteRouter);
+app.use('/api/timeline', timelineRouter);
+app.use('/api/graph', graphRouter);
+app.use('/api/analytics', analyticsRouter);
+app.use('/api/stats', statsRouter);
+app.use('/api/admin', adminRouter);
 app.use('/api/queries', queriesRouter);
 app.use('/api/llm', llmRouter);
 
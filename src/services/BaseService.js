@@ -4,11 +4,27 @@
  */
 
 const { NotFoundError, DatabaseError } = require('../utils/errors');
+const { buildListQuery } = require('../utils/listQuery');
+const { applyProjection, PROJECTION_PARAMS } = require('../utils/projection');
 
 class BaseService {
   constructor(model, modelName) {
     this.model = model;
     this.modelName = modelName;
+    // Fields clients may sort and filter list endpoints by; services narrow these as needed.
+    // TEXT columns (biographies, descriptions) can be filtered but not sorted.
+    const attributes = Object.entries(model.rawAttributes);
+    this.sortableFields = attributes.filter(([, attr]) => attr.type.key !== 'TEXT').map(([name]) => name);
+    this.filterableFields = attributes.map(([name]) => name);
+    // Association paths clients may request with ?include= (aliases from src/models/index.js)
+    this.includablePaths = [];
+  }
+
+  /**
+   * Apply ?fields= and ?include= from a request query to find options
+   */
+  projection(query = {}, options = {}) {
+    return applyProjection(this.model, query, options, this.includablePaths);
   }
 
   /**
@@ -22,6 +38,40 @@ class BaseService {
     }
   }
 
+  /**
+   * Get one page of records from a list query (pagination, sorting, filtering, fields, include).
+   * Query filters are merged into options.where; a requested sort replaces options.order.
+   */
+  async getPaginated(query = {}, options = {}) {
+    const { where, order, limit, offset, page } = buildListQuery(query, {
+      sortable: this.sortableFields,
+      filterable: this.filterableFields,
+      reserved: PROJECTION_PARAMS
+    });
+    options = this.projection(query, options);
+
+    // Tie-break on the primary key so pages stay stable across requests
+    const primaryKey = this.model.primaryKeyAttribute;
+    let finalOrder = order || options.order || [];
+    if (!finalOrder.some(([field]) => field === primaryKey)) {
+      finalOrder = [...finalOrder, [primaryKey, 'ASC']];
+    }
+
+    try {
+      const { rows, count } = await this.model.findAndCountAll({
+        ...options,
+        where: { ...options.where, ...where },
+        order: finalOrder,
+        limit,
+        offset,
+        distinct: true
+      });
+      return { rows, total: count, page, limit };
+    } catch (error) {
+      throw new DatabaseError(`Failed to fetch ${this.modelName} records`);
+    }
+  }
+
   /**
    * Get a single record by ID
    */
@@ -46,6 +96,7 @@ class BaseService {
       return await this.model.create(data);
     } catch (error) {
       if (error.name === 'SequelizeValidationError') throw error;
+      if (error.name === 'SequelizeUniqueConstraintError') throw error;
       throw new DatabaseError(`Failed to create ${this.modelName}`);
     }
   }
@@ -60,6 +111,7 @@ class BaseService {
     } catch (error) {
       if (error instanceof NotFoundError) throw error;
       if (error.name === 'SequelizeValidationError') throw error;
+      if (error.name === 'SequelizeUniqueConstraintError') throw error;
       throw new DatabaseError(`Failed to update ${this.modelName}`);
     }
   }
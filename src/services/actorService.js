@@ -0,0 +1,104 @@
+/**
+ * Service for Actor-related operations
+ * Extends BaseService to inherit common CRUD operations
+ */
+
+const BaseService = require('./BaseService');
+const { Actor, Doctor, Companion, Episode } = require('../models');
+const { ConflictError } = require('../utils/errors');
+const statsService = require('./statsService');
+
+class ActorService extends BaseService {
+  constructor() {
+    super(Actor, 'Actor');
+    this.includablePaths = [
+      'doctors',
+      'doctors.firstEpisode',
+      'doctors.lastEpisode',
+      'companions'
+    ];
+  }
+
+  /**
+   * Get a page of actors
+   */
+  async getAllActors(query = {}) {
+    return this.getPaginated(query, { order: [['name', 'ASC']] });
+  }
+
+  /**
+   * Get an actor by ID
+   */
+  async getActorById(id, query = {}) {
+    return this.getById(id, this.projection(query));
+  }
+
+  /**
+   * Alias methods for consistency with existing code
+   */
+  async createActor(data) {
+    return this.create(data);
+  }
+
+  /**
+   * Doctor stats rows store the actor's name, so renaming an actor refreshes them
+   */
+  async updateActor(id, data) {
+    const actor = await this.update(id, data);
+    const doctors = await Doctor.findAll({ attributes: ['doctor_id'], where: { actor_id: actor.actor_id }, raw: true });
+    await statsService.refresh({ doctor: doctors.map(doctor => doctor.doctor_id) });
+    return actor;
+  }
+
+  /**
+   * Delete an actor once no Doctor or companion is played by them
+   */
+  async deleteActor(id) {
+    await this.getById(id);
+
+    const [doctorCount, companionCount] = await Promise.all([
+      Doctor.count({ where: { actor_id: id } }),
+      Companion.count({ where: { actor_id: id } })
+    ]);
+    if (doctorCount + companionCount > 0) {
+      throw new ConflictError(
+        `Actor still plays ${doctorCount} Doctor(s) and ${companionCount} companion(s)`
+      );
+    }
+
+    return this.delete(id);
+  }
+
+  /**
+   * Get the Doctor incarnations and companions an actor played
+   */
+  async getActorFilmography(id) {
+    const actor = await this.getById(id);
+    const episodeIncludes = [
+      { model: Episode, as: 'firstEpisode' },
+      { model: Episode, as: 'lastEpisode' }
+    ];
+
+    const [doctors, companions] = await Promise.all([
+      Doctor.findAll({
+        where: { actor_id: id },
+        include: episodeIncludes,
+        order: [['incarnation_number', 'ASC']]
+      }),
+      Companion.findAll({
+        where: { actor_id: id },
+        include: episodeIncludes,
+        order: [['name', 'ASC']]
+      })
+    ]);
+
+    return {
+      actor,
+      doctors,
+      companions,
+      total_roles: doctors.length + companions.length
+    };
+  }
+}
+
+module.exports = new ActorService();
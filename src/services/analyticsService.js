@@ -0,0 +1,618 @@
+/**
+ * Service for dashboard analytics computed from the junction tables
+ * Heavy lifting is done in SQL; shaping and ranking happen here
+ */
+
+const sequelize = require('../db/sequelize');
+const { Writer, Director } = require('../models');
+const { BadRequestError, NotFoundError, DatabaseError } = require('../utils/errors');
+const { ANALYTICS, ERAS } = require('../config/constants');
+
+/**
+ * Pearson correlation of two equal-length number lists (null when undefined)
+ */
+const correlation = (xs, ys) => {
+  const n = xs.length;
+  if (n < 2) return null;
+
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+  if (varianceX === 0 || varianceY === 0) return null;
+  return Math.round((covariance / Math.sqrt(varianceX * varianceY)) * 1000) / 1000;
+};
+
+/**
+ * The broadcast era a series number falls in (undefined when outside every era)
+ */
+const eraForSeries = (seriesNumber) => {
+  return ERAS.find(era =>
+    seriesNumber >= era.first_series && (era.last_series === null || seriesNumber <= era.last_series)
+  );
+};
+
+/**
+ * Zeroed counter per era key, e.g. { classic: 0, modern: 0, new: 0 }
+ */
+const emptyEraCounts = () => {
+  return Object.fromEntries(ERAS.map(era => [era.key, 0]));
+};
+
+/**
+ * Parse a positive integer query option capped at max
+ */
+const parseTop = (value, fallback, max, param) => {
+  if (value === undefined) return fallback;
+  const top = parseInt(value);
+  if (isNaN(top) || top < 1 || top > max) {
+    throw new BadRequestError(`${param} must be between 1 and ${max}`);
+  }
+  return top;
+};
+
+class AnalyticsService {
+  /**
+   * Run a read-only analytics query
+   */
+  async select(sql, replacements = {}) {
+    return sequelize.query(sql, { replacements, type: sequelize.QueryTypes.SELECT });
+  }
+
+  /**
+   * Enemy analytics: co-appearance matrix, the Doctor each enemy faced most,
+   * threat level against appearance count, and each enemy's longest run of consecutive seasons.
+   * Query: ?top= enemies in the matrix (default ANALYTICS.MATRIX_SIZE)
+   */
+  async getEnemyAnalytics(query = {}) {
+    const top = parseTop(query.top, ANALYTICS.MATRIX_SIZE, ANALYTICS.MAX_MATRIX_SIZE, 'top');
+
+    let enemies;
+    let pairs;
+    let doctorCounts;
+    let enemySeasons;
+    let seasons;
+    try {
+      enemies = await this.select(`
+        SELECT en.enemy_id, en.name, en.threat_level, COUNT(DISTINCT ee.episode_id) AS appearances
+        FROM ENEMIES en
+        LEFT JOIN ENEMY_EPISODES ee ON ee.enemy_id = en.enemy_id
+        GROUP BY en.enemy_id, en.name, en.threat_level
+        ORDER BY appearances DESC, en.name ASC
+      `);
+
+      // Each unordered pair once (a < b), counted by shared episodes
+      pairs = await this.select(`
+        SELECT a.enemy_id AS enemy_a, b.enemy_id AS enemy_b, COUNT(DISTINCT a.episode_id) AS episodes
+        FROM ENEMY_EPISODES a
+        INNER JOIN ENEMY_EPISODES b ON a.episode_id = b.episode_id AND a.enemy_id < b.enemy_id
+        GROUP BY a.enemy_id, b.enemy_id
+        ORDER BY episodes DESC
+      `);
+
+      // An episode belongs to every Doctor whose era (first to last episode air date) covers it
+      doctorCounts = await this.select(`
+        SELECT ee.enemy_id, d.doctor_id, d.incarnation_number, COUNT(DISTINCT ee.episode_id) AS episodes
+        FROM ENEMY_EPISODES ee
+        INNER JOIN EPISODES e ON e.episode_id = ee.episode_id
+        INNER JOIN DOCTOR d
+        INNER JOIN EPISODES f ON f.episode_id = d.first_episode_id
+        INNER JOIN EPISODES l ON l.episode_id = d.last_episode_id
+        WHERE e.air_date BETWEEN f.air_date AND l.air_date
+        GROUP BY ee.enemy_id, d.doctor_id, d.incarnation_number
+      `);
+
+      enemySeasons = await this.select(`
+        SELECT DISTINCT ee.enemy_id, e.season_id
+        FROM ENEMY_EPISODES ee
+        INNER JOIN EPISODES e ON e.episode_id = ee.episode_id
+      `);
+
+      seasons = await this.select(`
+        SELECT season_id, series_number, year
+        FROM SEASONS
+        ORDER BY year ASC, series_number ASC, season_id ASC
+      `);
+    } catch (error) {
+      throw new DatabaseError('Failed to compute enemy analytics');
+    }
+
+    const names = new Map(enemies.map(enemy => [enemy.enemy_id, enemy.name]));
+
+    // Co-appearance matrix over the most frequent enemies; the diagonal holds each enemy's own appearances
+    const matrixEnemies = enemies.slice(0, top);
+    const position = new Map(matrixEnemies.map((enemy, index) => [enemy.enemy_id, index]));
+    const matrix = matrixEnemies.map((row, i) =>
+      matrixEnemies.map((_, j) => (i === j ? Number(row.appearances) : 0))
+    );
+    pairs.forEach(pair => {
+      const i = position.get(pair.enemy_a);
+      const j = position.get(pair.enemy_b);
+      if (i === undefined || j === undefined) return;
+      matrix[i][j] = Number(pair.episodes);
+      matrix[j][i] = Number(pair.episodes);
+    });
+
+    const mostFaced = new Map();
+    doctorCounts.forEach(row => {
+      const episodes = Number(row.episodes);
+      const current = mostFaced.get(row.enemy_id);
+      if (!current || episodes > current.episodes ||
+          (episodes === current.episodes && row.incarnation_number < current.incarnation_number)) {
+        mostFaced.set(row.enemy_id, {
+          doctor_id: row.doctor_id,
+          incarnation_number: row.incarnation_number,
+          episodes
+        });
+      }
+    });
+
+    const seasonIndex = new Map(seasons.map((season, index) => [season.season_id, index]));
+    const seasonsByEnemy = new Map();
+    enemySeasons.forEach(({ enemy_id: enemyId, season_id: seasonId }) => {
+      if (!seasonIndex.has(seasonId)) return;
+      if (!seasonsByEnemy.has(enemyId)) seasonsByEnemy.set(enemyId, []);
+      seasonsByEnemy.get(enemyId).push(seasonIndex.get(seasonId));
+    });
+
+    const enemyStats = enemies.map(enemy => {
+      const indexes = (seasonsByEnemy.get(enemy.enemy_id) || []).sort((a, b) => a - b);
+      return {
+        enemy_id: enemy.enemy_id,
+        name: enemy.name,
+        threat_level: enemy.threat_level,
+        appearances: Number(enemy.appearances),
+        most_faced_doctor: mostFaced.get(enemy.enemy_id) || null,
+        seasons_appeared: indexes.length,
+        longest_streak: this.longestStreak(indexes, seasons)
+      };
+    });
+
+    const rated = enemyStats.filter(enemy => enemy.threat_level !== null && enemy.threat_level !== undefined);
+    const byThreat = new Map();
+    rated.forEach(enemy => {
+      if (!byThreat.has(enemy.threat_level)) {
+        byThreat.set(enemy.threat_level, { threat_level: enemy.threat_level, enemies: 0, total_appearances: 0 });
+      }
+      const bucket = byThreat.get(enemy.threat_level);
+      bucket.enemies++;
+      bucket.total_appearances += enemy.appearances;
+    });
+
+    return {
+      enemy_count: enemies.length,
+      co_occurrence: {
+        enemies: matrixEnemies.map(enemy => ({ enemy_id: enemy.enemy_id, name: enemy.name })),
+        matrix,
+        top_pairs: pairs.slice(0, ANALYTICS.TOP_PAIRS).map(pair => ({
+          enemies: [
+            { enemy_id: pair.enemy_a, name: names.get(pair.enemy_a) },
+            { enemy_id: pair.enemy_b, name: names.get(pair.enemy_b) }
+          ],
+          episodes: Number(pair.episodes)
+        }))
+      },
+      threat_vs_appearances: {
+        correlation: correlation(rated.map(enemy => enemy.threat_level), rated.map(enemy => enemy.appearances)),
+        by_threat_level: Array.from(byThreat.values())
+          .sort((a, b) => a.threat_level - b.threat_level)
+          .map(bucket => ({
+            ...bucket,
+            average_appearances: Math.round((bucket.total_appearances / bucket.enemies) * 10) / 10
+          }))
+      },
+      enemies: enemyStats
+    };
+  }
+
+  /**
+   * Season statistics and Classic/Modern/New era rollups.
+   * Per season: episodes, runtime, distinct writers and directors, enemies introduced,
+   * planets visited, companions joining or leaving, and the air-date range.
+   */
+  async getSeasonAnalytics() {
+    let seasons;
+    let crew;
+    let enemyAppearances;
+    let planetVisits;
+    let companionsJoined;
+    let companionsLeft;
+    try {
+      seasons = await this.select(`
+        SELECT
+          s.season_id,
+          s.series_number,
+          s.year,
+          COUNT(e.episode_id) AS episode_count,
+          COUNT(e.runtime_minutes) AS timed_episodes,
+          COALESCE(SUM(e.runtime_minutes), 0) AS total_runtime_minutes,
+          MIN(e.air_date) AS first_air_date,
+          MAX(e.air_date) AS last_air_date
+        FROM SEASONS s
+        LEFT JOIN EPISODES e ON e.season_id = s.season_id
+        GROUP BY s.season_id, s.series_number, s.year
+        ORDER BY s.series_number ASC, s.season_id ASC
+      `);
+
+      // Pairs rather than counts, so eras can count distinct people across their seasons
+      crew = await this.select(`
+        SELECT DISTINCT season_id, writer_id, director_id
+        FROM EPISODES
+      `);
+
+      enemyAppearances = await this.select(`
+        SELECT ee.enemy_id, e.season_id, e.air_date, e.episode_id
+        FROM ENEMY_EPISODES ee
+        INNER JOIN EPISODES e ON e.episode_id = ee.episode_id
+      `);
+
+      planetVisits = await this.select(`
+        SELECT DISTINCT e.season_id, el.planet_id
+        FROM EPISODE_LOCATIONS el
+        INNER JOIN EPISODES e ON e.episode_id = el.episode_id
+      `);
+
+      companionsJoined = await this.select(`
+        SELECT e.season_id, COUNT(*) AS companions
+        FROM COMPANIONS c
+        INNER JOIN EPISODES e ON e.episode_id = c.first_episode_id
+        GROUP BY e.season_id
+      `);
+
+      companionsLeft = await this.select(`
+        SELECT e.season_id, COUNT(*) AS companions
+        FROM COMPANIONS c
+        INNER JOIN EPISODES e ON e.episode_id = c.last_episode_id
+        GROUP BY e.season_id
+      `);
+    } catch (error) {
+      throw new DatabaseError('Failed to compute season analytics');
+    }
+
+    // An enemy is introduced in the season of its earliest appearance (undated appearances sort last)
+    const firstAppearance = new Map();
+    enemyAppearances.forEach(row => {
+      const current = firstAppearance.get(row.enemy_id);
+      const key = [row.air_date || '9999-12-31', row.episode_id];
+      if (!current || key[0] < current.key[0] || (key[0] === current.key[0] && key[1] < current.key[1])) {
+        firstAppearance.set(row.enemy_id, { key, season_id: row.season_id });
+      }
+    });
+
+    const accumulators = new Map();
+    const eraAccumulators = new Map(ERAS.map(era => [era.key, this.createSeasonAccumulator()]));
+    const eraOf = new Map();
+
+    seasons.forEach(season => {
+      const era = eraForSeries(season.series_number);
+      eraOf.set(season.season_id, era ? era.key : null);
+
+      const accumulator = this.createSeasonAccumulator();
+      accumulators.set(season.season_id, accumulator);
+      [accumulator, era && eraAccumulators.get(era.key)].filter(Boolean).forEach(target => {
+        target.seasons++;
+        target.episodes += Number(season.episode_count);
+        target.timedEpisodes += Number(season.timed_episodes);
+        target.runtime += Number(season.total_runtime_minutes);
+        if (season.first_air_date && (!target.firstAirDate || season.first_air_date < target.firstAirDate)) {
+          target.firstAirDate = season.first_air_date;
+        }
+        if (season.last_air_date && (!target.lastAirDate || season.last_air_date > target.lastAirDate)) {
+          target.lastAirDate = season.last_air_date;
+        }
+      });
+    });
+
+    // Apply a per-season fact to the season and to its era
+    const record = (seasonId, apply) => {
+      const accumulator = accumulators.get(seasonId);
+      if (!accumulator) return;
+      apply(accumulator);
+      const era = eraOf.get(seasonId);
+      if (era) apply(eraAccumulators.get(era));
+    };
+
+    crew.forEach(row => record(row.season_id, target => {
+      if (row.writer_id !== null) target.writers.add(row.writer_id);
+      if (row.director_id !== null) target.directors.add(row.director_id);
+    }));
+    firstAppearance.forEach(({ season_id: seasonId }) => record(seasonId, target => { target.newEnemies++; }));
+    planetVisits.forEach(row => record(row.season_id, target => target.planets.add(row.planet_id)));
+    companionsJoined.forEach(row => record(row.season_id, target => { target.companionsJoined += Number(row.companions); }));
+    companionsLeft.forEach(row => record(row.season_id, target => { target.companionsLeft += Number(row.companions); }));
+
+    return {
+      eras: ERAS.map(era => ({
+        key: era.key,
+        name: era.name,
+        tvmaze_show_id: era.tvmaze_show_id,
+        series_range: { first: era.first_series, last: era.last_series },
+        season_count: eraAccumulators.get(era.key).seasons,
+        ...this.summarizeSeasonAccumulator(eraAccumulators.get(era.key))
+      })),
+      seasons: seasons.map(season => ({
+        season_id: season.season_id,
+        series_number: season.series_number,
+        year: season.year,
+        era: eraOf.get(season.season_id),
+        ...this.summarizeSeasonAccumulator(accumulators.get(season.season_id))
+      }))
+    };
+  }
+
+  /**
+   * Crew analytics: most frequent writer–director pairs, each writer's seasons and the showrunners
+   * they wrote under, and per-person episode counts by era
+   */
+  async getCrewAnalytics() {
+    let pairs;
+    let writerSeasons;
+    let directorSeries;
+    let writers;
+    let directors;
+    try {
+      pairs = await this.select(`
+        SELECT
+          e.writer_id,
+          e.director_id,
+          COUNT(*) AS episodes,
+          MIN(e.air_date) AS first_air_date,
+          MAX(e.air_date) AS last_air_date
+        FROM EPISODES e
+        WHERE e.writer_id IS NOT NULL AND e.director_id IS NOT NULL
+        GROUP BY e.writer_id, e.director_id
+        ORDER BY episodes DESC, first_air_date ASC
+        LIMIT ${ANALYTICS.TOP_PAIRS}
+      `);
+
+      writerSeasons = await this.select(`
+        SELECT e.writer_id, s.season_id, s.series_number, s.year, s.showrunner_id, COUNT(*) AS episodes
+        FROM EPISODES e
+        INNER JOIN SEASONS s ON s.season_id = e.season_id
+        WHERE e.writer_id IS NOT NULL
+        GROUP BY e.writer_id, s.season_id, s.series_number, s.year, s.showrunner_id
+        ORDER BY s.series_number ASC
+      `);
+
+      directorSeries = await this.select(`
+        SELECT e.director_id, s.series_number, COUNT(*) AS episodes
+        FROM EPISODES e
+        INNER JOIN SEASONS s ON s.season_id = e.season_id
+        WHERE e.director_id IS NOT NULL
+        GROUP BY e.director_id, s.series_number
+      `);
+
+      writers = await this.select('SELECT writer_id, name FROM WRITERS');
+      directors = await this.select('SELECT director_id, name FROM DIRECTORS');
+    } catch (error) {
+      throw new DatabaseError('Failed to compute crew analytics');
+    }
+
+    const writerNames = new Map(writers.map(writer => [writer.writer_id, writer.name]));
+    const directorNames = new Map(directors.map(director => [director.director_id, director.name]));
+
+    const writerStats = new Map();
+    writerSeasons.forEach(row => {
+      if (!writerStats.has(row.writer_id)) {
+        writerStats.set(row.writer_id, {
+          writer_id: row.writer_id,
+          name: writerNames.get(row.writer_id) ?? null,
+          episode_count: 0,
+          by_era: emptyEraCounts(),
+          seasons: [],
+          showrunners: new Map()
+        });
+      }
+      const stats = writerStats.get(row.writer_id);
+      const episodes = Number(row.episodes);
+      const era = eraForSeries(row.series_number);
+
+      stats.episode_count += episodes;
+      if (era) stats.by_era[era.key] += episodes;
+      stats.seasons.push({ season_id: row.season_id, series_number: row.series_number, year: row.year, episodes });
+
+      if (row.showrunner_id !== null) {
+        if (!stats.showrunners.has(row.showrunner_id)) {
+          stats.showrunners.set(row.showrunner_id, {
+            writer_id: row.showrunner_id,
+            name: writerNames.get(row.showrunner_id) ?? null,
+            // The writer ran these seasons themselves
+            self: row.showrunner_id === row.writer_id,
+            seasons: 0,
+            episodes: 0
+          });
+        }
+        const overlap = stats.showrunners.get(row.showrunner_id);
+        overlap.seasons++;
+        overlap.episodes += episodes;
+      }
+    });
+
+    const directorStats = new Map();
+    directorSeries.forEach(row => {
+      if (!directorStats.has(row.director_id)) {
+        directorStats.set(row.director_id, {
+          director_id: row.director_id,
+          name: directorNames.get(row.director_id) ?? null,
+          episode_count: 0,
+          by_era: emptyEraCounts()
+        });
+      }
+      const stats = directorStats.get(row.director_id);
+      const episodes = Number(row.episodes);
+      const era = eraForSeries(row.series_number);
+
+      stats.episode_count += episodes;
+      if (era) stats.by_era[era.key] += episodes;
+    });
+
+    const byEpisodes = (a, b) => b.episode_count - a.episode_count || String(a.name).localeCompare(String(b.name));
+
+    return {
+      top_pairs: pairs.map(pair => ({
+        writer: { writer_id: pair.writer_id, name: writerNames.get(pair.writer_id) ?? null },
+        director: { director_id: pair.director_id, name: directorNames.get(pair.director_id) ?? null },
+        episodes: Number(pair.episodes),
+        first_air_date: pair.first_air_date,
+        last_air_date: pair.last_air_date
+      })),
+      writers: Array.from(writerStats.values())
+        .map(stats => ({
+          ...stats,
+          showrunners: Array.from(stats.showrunners.values()).sort((a, b) => b.episodes - a.episodes)
+        }))
+        .sort(byEpisodes),
+      directors: Array.from(directorStats.values()).sort(byEpisodes)
+    };
+  }
+
+  /**
+   * People a writer or director worked with, ranked by shared episodes.
+   * Writers collaborate with the directors of their episodes and the showrunners of those seasons;
+   * directors with the writers of their episodes and the showrunners of those seasons.
+   * @param {string} role - 'writer' or 'director'
+   * @param {number} id - writer_id or director_id
+   */
+  async getCrewCollaborators(role, id) {
+    const roles = {
+      writer: { model: Writer, column: 'writer_id', partner: { role: 'director', column: 'director_id', table: 'DIRECTORS' } },
+      director: { model: Director, column: 'director_id', partner: { role: 'writer', column: 'writer_id', table: 'WRITERS' } }
+    };
+    const config = roles[role];
+    if (!config) {
+      throw new BadRequestError(`Unknown crew role "${role}". Valid roles: ${Object.keys(roles).join(', ')}`);
+    }
+
+    const person = await config.model.findByPk(id);
+    if (!person) {
+      throw new NotFoundError(role === 'writer' ? 'Writer' : 'Director');
+    }
+
+    let partners;
+    let showrunners;
+    try {
+      partners = await this.select(`
+        SELECT
+          p.${config.partner.column} AS id,
+          p.name,
+          COUNT(*) AS shared_episodes,
+          MIN(e.air_date) AS first_air_date,
+          MAX(e.air_date) AS last_air_date
+        FROM EPISODES e
+        INNER JOIN ${config.partner.table} p ON p.${config.partner.column} = e.${config.partner.column}
+        WHERE e.${config.column} = :id
+        GROUP BY p.${config.partner.column}, p.name
+      `, { id });
+
+      // A writer is not their own collaborator when they ran the season
+      showrunners = await this.select(`
+        SELECT
+          w.writer_id AS id,
+          w.name,
+          COUNT(*) AS shared_episodes,
+          MIN(e.air_date) AS first_air_date,
+          MAX(e.air_date) AS last_air_date
+        FROM EPISODES e
+        INNER JOIN SEASONS s ON s.season_id = e.season_id
+        INNER JOIN WRITERS w ON w.writer_id = s.showrunner_id
+        WHERE e.${config.column} = :id
+          ${role === 'writer' ? 'AND s.showrunner_id <> :id' : ''}
+        GROUP BY w.writer_id, w.name
+      `, { id });
+    } catch (error) {
+      throw new DatabaseError('Failed to load collaborators');
+    }
+
+    const toCollaborator = (collaboratorRole) => (row) => ({
+      role: collaboratorRole,
+      id: row.id,
+      name: row.name,
+      shared_episodes: Number(row.shared_episodes),
+      first_air_date: row.first_air_date,
+      last_air_date: row.last_air_date
+    });
+
+    return {
+      person: { role, id: person[config.column], name: person.name },
+      collaborators: [
+        ...partners.map(toCollaborator(config.partner.role)),
+        ...showrunners.map(toCollaborator('showrunner'))
+      ].sort((a, b) => b.shared_episodes - a.shared_episodes || String(a.name).localeCompare(String(b.name)))
+    };
+  }
+
+  /**
+   * Running totals for one season or era
+   */
+  createSeasonAccumulator() {
+    return {
+      seasons: 0,
+      episodes: 0,
+      timedEpisodes: 0,
+      runtime: 0,
+      writers: new Set(),
+      directors: new Set(),
+      newEnemies: 0,
+      planets: new Set(),
+      companionsJoined: 0,
+      companionsLeft: 0,
+      firstAirDate: null,
+      lastAirDate: null
+    };
+  }
+
+  /**
+   * Turn running totals into response fields
+   */
+  summarizeSeasonAccumulator(accumulator) {
+    return {
+      episode_count: accumulator.episodes,
+      total_runtime_minutes: accumulator.runtime,
+      // Averaged over episodes that have a runtime recorded
+      average_runtime_minutes: accumulator.timedEpisodes > 0
+        ? Math.round((accumulator.runtime / accumulator.timedEpisodes) * 10) / 10
+        : null,
+      distinct_writers: accumulator.writers.size,
+      distinct_directors: accumulator.directors.size,
+      new_enemies: accumulator.newEnemies,
+      planets_visited: accumulator.planets.size,
+      companions_joined: accumulator.companionsJoined,
+      companions_left: accumulator.companionsLeft,
+      first_air_date: accumulator.firstAirDate,
+      last_air_date: accumulator.lastAirDate
+    };
+  }
+
+  /**
+   * Longest run of consecutive seasons from sorted positions in the chronological season list
+   */
+  longestStreak(indexes, seasons) {
+    if (indexes.length === 0) return null;
+
+    let best = { start: indexes[0], length: 1 };
+    let runStart = indexes[0];
+    for (let i = 1; i < indexes.length; i++) {
+      if (indexes[i] !== indexes[i - 1] + 1) {
+        runStart = indexes[i];
+      }
+      const length = indexes[i] - runStart + 1;
+      if (length > best.length) {
+        best = { start: runStart, length };
+      }
+    }
+
+    return {
+      length: best.length,
+      from: seasons[best.start],
+      to: seasons[best.start + best.length - 1]
+    };
+  }
+}
+
+module.exports = new AnalyticsService();
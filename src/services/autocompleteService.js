@@ -0,0 +1,110 @@
+/**
+ * Service for typo-tolerant name autocomplete
+ * Ranks cached name lists with trigram and edit-distance similarity
+ */
+
+const {
+  Actor, Writer, Director, Season, Episode, Doctor, Companion, Character, Enemy, Planet, Species
+} = require('../models');
+const { nameSimilarity } = require('../utils/nameMatching');
+const { BadRequestError, DatabaseError } = require('../utils/errors');
+const { AUTOCOMPLETE } = require('../config/constants');
+
+class AutocompleteService {
+  constructor() {
+    // Each type loads its candidates as { id, label, detail? }
+    this.sources = {
+      actor: () => this.loadNamed(Actor, 'actor_id', 'name'),
+      writer: () => this.loadNamed(Writer, 'writer_id', 'name'),
+      director: () => this.loadNamed(Director, 'director_id', 'name'),
+      companion: () => this.loadNamed(Companion, 'companion_id', 'name'),
+      character: () => this.loadNamed(Character, 'character_id', 'name'),
+      enemy: () => this.loadNamed(Enemy, 'enemy_id', 'name'),
+      planet: () => this.loadNamed(Planet, 'planet_id', 'name'),
+      species: () => this.loadNamed(Species, 'species_id', 'name'),
+      episode: async () => {
+        const episodes = await Episode.findAll({ attributes: ['episode_id', 'title', 'air_date'], raw: true });
+        // Classic serial parts share titles, so the air date tells them apart
+        return episodes.map(episode => ({ id: episode.episode_id, label: episode.title, detail: episode.air_date }));
+      },
+      season: async () => {
+        const seasons = await Season.findAll({ attributes: ['season_id', 'series_number', 'year'], raw: true });
+        return seasons.map(season => ({
+          id: season.season_id,
+          label: `Series ${season.series_number}${season.year ? ` (${season.year})` : ''}`
+        }));
+      },
+      doctor: async () => {
+        const doctors = await Doctor.findAll({
+          attributes: ['doctor_id', 'incarnation_number'],
+          include: [{ model: Actor, as: 'actor', attributes: ['name'] }]
+        });
+        return doctors.map(doctor => ({
+          id: doctor.doctor_id,
+          label: `Doctor #${doctor.incarnation_number}${doctor.actor ? ` (${doctor.actor.name})` : ''}`
+        }));
+      }
+    };
+    this.cache = new Map();
+  }
+
+  /**
+   * Load { id, label } pairs from a model with a plain name column
+   */
+  async loadNamed(model, key, label) {
+    const rows = await model.findAll({ attributes: [key, label], raw: true });
+    return rows.map(row => ({ id: row[key], label: row[label] }));
+  }
+
+  /**
+   * Get the candidate list for a type, reloading it once older than AUTOCOMPLETE.CACHE_TTL_MS
+   */
+  async getCandidates(type) {
+    const cached = this.cache.get(type);
+    if (cached && Date.now() - cached.loadedAt < AUTOCOMPLETE.CACHE_TTL_MS) {
+      return cached.candidates;
+    }
+
+    try {
+      const candidates = await this.sources[type]();
+      this.cache.set(type, { candidates, loadedAt: Date.now() });
+      return candidates;
+    } catch (error) {
+      throw new DatabaseError(`Failed to load ${type} names`);
+    }
+  }
+
+  /**
+   * Suggest records of a type whose names best match a partial, possibly misspelled query
+   * @param {string} type - entity type, e.g. 'enemy'
+   * @param {string} q - typed text
+   * @param {number} limit - maximum number of suggestions
+   * @returns {Array<{ id: number, label: string, score: number }>} best matches first
+   */
+  async suggest(type, q, limit = AUTOCOMPLETE.DEFAULT_LIMIT) {
+    if (!this.sources[type]) {
+      throw new BadRequestError(
+        `Unknown autocomplete type "${type}". Valid types: ${Object.keys(this.sources).join(', ')}`
+      );
+    }
+
+    // A repeated ?q= arrives as an array
+    if (q !== undefined && typeof q !== 'string') {
+      throw new BadRequestError('Query parameter q must be a single string');
+    }
+    const text = (q || '').trim();
+    if (!text) {
+      throw new BadRequestError('Query parameter q is required');
+    }
+
+    const candidates = await this.getCandidates(type);
+    return candidates
+      .map(candidate => ({ ...candidate, score: nameSimilarity(text, candidate.label) }))
+      .filter(candidate => candidate.score >= AUTOCOMPLETE.MIN_SIMILARITY)
+      .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label))
+      .slice(0, Math.min(limit, AUTOCOMPLETE.MAX_LIMIT))
+      .map(candidate => ({ ...candidate, score: Math.round(candidate.score * 1000) / 1000 }));
+  }
+}
+
+module.exports = new AutocompleteService();
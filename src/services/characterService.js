@@ -0,0 +1,218 @@
+/**
+ * Service for Character-related operations
+ * Extends BaseService to inherit common CRUD operations
+ */
+
+const BaseService = require('./BaseService');
+const sequelize = require('../db/sequelize');
+const { Character, Species, Doctor, Enemy, Episode, Season, EpisodeAppearance } = require('../models');
+const { NotFoundError, ConflictError, DatabaseError } = require('../utils/errors');
+const statsService = require('./statsService');
+
+class CharacterService extends BaseService {
+  constructor() {
+    super(Character, 'Character');
+    this.includablePaths = [
+      'species',
+      'doctor',
+      'doctor.actor',
+      'enemy',
+      'episodes'
+    ];
+    this.defaultIncludes = [
+      { model: Species, as: 'species' },
+      { model: Doctor, as: 'doctor' },
+      { model: Enemy, as: 'enemy' }
+    ];
+  }
+
+  /**
+   * Get a page of characters with related data
+   */
+  async getAllCharacters(query = {}) {
+    return this.getPaginated(query, { include: this.defaultIncludes, order: [['name', 'ASC']] });
+  }
+
+  /**
+   * Get a character by ID with related data
+   */
+  async getCharacterById(id, query = {}) {
+    return this.getById(id, this.projection(query, { include: this.defaultIncludes }));
+  }
+
+  /**
+   * Doctor stats count the episodes a Doctor's characters appear in, so character
+   * and appearance writes refresh the stats row of the Doctor the character plays
+   */
+  async refreshDoctorStats(...doctorIds) {
+    await statsService.refresh({ doctor: doctorIds.filter(Boolean) });
+  }
+
+  /**
+   * Alias methods for consistency with existing code
+   */
+  async createCharacter(data) {
+    const character = await this.create(data);
+    await this.refreshDoctorStats(character.doctor_id);
+    return character;
+  }
+
+  async updateCharacter(id, data) {
+    const { doctor_id: previousDoctorId } = await this.getById(id);
+    const character = await this.update(id, data);
+    await this.refreshDoctorStats(previousDoctorId, character.doctor_id);
+    return character;
+  }
+
+  /**
+   * Delete a character together with its episode appearances
+   */
+  async deleteCharacter(id) {
+    const character = await this.getById(id);
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await EpisodeAppearance.destroy({ where: { character_id: id }, transaction });
+        await character.destroy({ transaction });
+      });
+    } catch (error) {
+      throw new DatabaseError('Failed to delete Character');
+    }
+
+    await this.refreshDoctorStats(character.doctor_id);
+    return { message: 'Character deleted successfully' };
+  }
+
+  /**
+   * Get every episode appearance of a character, in air-date order
+   */
+  async getCharacterAppearances(id) {
+    await this.getById(id);
+    return EpisodeAppearance.findAll({
+      where: { character_id: id },
+      include: [{
+        model: Episode,
+        as: 'episode',
+        include: [{ model: Season, as: 'season' }]
+      }],
+      order: [[{ model: Episode, as: 'episode' }, 'air_date', 'ASC']]
+    });
+  }
+
+  /**
+   * Record a character appearance in an episode
+   */
+  async addAppearance(characterId, { episode_id, character_type, screen_time_min = null }) {
+    const character = await this.getById(characterId);
+
+    const episode = await Episode.findByPk(episode_id);
+    if (!episode) {
+      throw new NotFoundError('Episode');
+    }
+
+    const existing = await EpisodeAppearance.findOne({
+      where: { character_id: characterId, episode_id, character_type }
+    });
+    if (existing) {
+      throw new ConflictError('Character already appears in this episode with that type');
+    }
+
+    const appearance = await EpisodeAppearance.create({
+      character_id: characterId,
+      episode_id,
+      character_type,
+      screen_time_min
+    });
+    await this.refreshDoctorStats(character.doctor_id);
+    return appearance;
+  }
+
+  /**
+   * Update the screen time of an existing appearance
+   */
+  async updateAppearance(characterId, episodeId, characterType, { screen_time_min }) {
+    const { character, appearance } = await this.findAppearance(characterId, episodeId, characterType);
+    const updated = await appearance.update({ screen_time_min });
+    await this.refreshDoctorStats(character.doctor_id);
+    return updated;
+  }
+
+  /**
+   * Remove a character appearance from an episode
+   */
+  async removeAppearance(characterId, episodeId, characterType) {
+    const { character, appearance } = await this.findAppearance(characterId, episodeId, characterType);
+    await appearance.destroy();
+    await this.refreshDoctorStats(character.doctor_id);
+  }
+
+  /**
+   * Look up a single appearance and its character; character_type is part of the key
+   */
+  async findAppearance(characterId, episodeId, characterType) {
+    const character = await this.getById(characterId);
+
+    const appearance = await EpisodeAppearance.findOne({
+      where: { character_id: characterId, episode_id: episodeId, character_type: characterType }
+    });
+    if (!appearance) {
+      throw new NotFoundError('Appearance');
+    }
+    return { character, appearance };
+  }
+
+  /**
+   * Summarise a character's screen time: total minutes, episodes and air-date span
+   */
+  async getScreenTimeSummary(id) {
+    const character = await this.getById(id);
+
+    const [totals] = await sequelize.query(`
+      SELECT
+        COALESCE(SUM(ea.screen_time_min), 0) AS total_minutes,
+        COUNT(DISTINCT ea.episode_id) AS episode_count,
+        MIN(e.air_date) AS first_air_date,
+        MAX(e.air_date) AS last_air_date
+      FROM EPISODE_APPEARANCES ea
+      INNER JOIN EPISODES e ON ea.episode_id = e.episode_id
+      WHERE ea.character_id = :characterId
+    `, {
+      replacements: { characterId: id },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    const byType = await sequelize.query(`
+      SELECT
+        ea.character_type,
+        COALESCE(SUM(ea.screen_time_min), 0) AS total_minutes,
+        COUNT(DISTINCT ea.episode_id) AS episode_count
+      FROM EPISODE_APPEARANCES ea
+      WHERE ea.character_id = :characterId
+      GROUP BY ea.character_type
+      ORDER BY total_minutes DESC
+    `, {
+      replacements: { characterId: id },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    // MySQL returns SUM() as a DECIMAL string
+    const totalMinutes = Number(totals.total_minutes);
+    const episodeCount = Number(totals.episode_count);
+
+    return {
+      character_id: character.character_id,
+      name: character.name,
+      total_minutes: totalMinutes,
+      episode_count: episodeCount,
+      average_minutes: episodeCount > 0 ? Math.round((totalMinutes / episodeCount) * 10) / 10 : 0,
+      first_air_date: totals.first_air_date,
+      last_air_date: totals.last_air_date,
+      by_type: byType.map(row => ({
+        character_type: row.character_type,
+        total_minutes: Number(row.total_minutes),
+        episode_count: Number(row.episode_count)
+      }))
+    };
+  }
+}
+
+module.exports = new CharacterService();
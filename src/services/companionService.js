@@ -0,0 +1,149 @@
+/**
+ * Service for Companion-related operations
+ * Extends BaseService to inherit common CRUD operations
+ */
+
+const BaseService = require('./BaseService');
+const sequelize = require('../db/sequelize');
+const { Companion, Actor, Species, Planet, Episode, Doctor, DoctorCompanion } = require('../models');
+const { NotFoundError, ConflictError, DatabaseError } = require('../utils/errors');
+const statsService = require('./statsService');
+
+class CompanionService extends BaseService {
+  constructor() {
+    super(Companion, 'Companion');
+    this.includablePaths = [
+      'actor',
+      'species',
+      'homePlanet',
+      'firstEpisode.season',
+      'lastEpisode.season',
+      'doctors.actor'
+    ];
+    this.defaultIncludes = [
+      { model: Actor, as: 'actor' },
+      { model: Species, as: 'species' },
+      { model: Planet, as: 'homePlanet' },
+      { model: Episode, as: 'firstEpisode' },
+      { model: Episode, as: 'lastEpisode' },
+      {
+        model: Doctor,
+        as: 'doctors',
+        through: { attributes: ['start_episode_id', 'end_episode_id'] },
+        include: [{ model: Actor, as: 'actor' }]
+      }
+    ];
+  }
+
+  /**
+   * Get a page of companions with related data
+   */
+  async getAllCompanions(query = {}) {
+    return this.getPaginated(query, { include: this.defaultIncludes });
+  }
+
+  /**
+   * Get a companion by ID with related data
+   */
+  async getCompanionById(id, query = {}) {
+    return this.getById(id, this.projection(query, { include: this.defaultIncludes }));
+  }
+
+  /**
+   * Alias methods for consistency with existing code.
+   * Writes refresh the companion counts of the old and new home planets.
+   */
+  async createCompanion(data) {
+    const companion = await this.create(data);
+    await statsService.refresh({ planet: [companion.home_planet_id].filter(Boolean) });
+    return companion;
+  }
+
+  async updateCompanion(id, data) {
+    const { home_planet_id: previousPlanetId } = await this.getById(id);
+    const companion = await this.update(id, data);
+    await statsService.refresh({ planet: [previousPlanetId, companion.home_planet_id].filter(Boolean) });
+    return companion;
+  }
+
+  /**
+   * Delete a companion together with its Doctor links,
+   * otherwise the DOCTOR_COMPANIONS foreign key blocks the delete
+   */
+  async deleteCompanion(id) {
+    const companion = await this.getById(id);
+    const links = await DoctorCompanion.findAll({ attributes: ['doctor_id'], where: { companion_id: id }, raw: true });
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await DoctorCompanion.destroy({ where: { companion_id: id }, transaction });
+        await companion.destroy({ transaction });
+      });
+    } catch (error) {
+      throw new DatabaseError('Failed to delete Companion');
+    }
+
+    await statsService.refresh({
+      doctor: links.map(link => link.doctor_id),
+      planet: companion.home_planet_id ? [companion.home_planet_id] : []
+    });
+    return { message: 'Companion deleted successfully' };
+  }
+
+  /**
+   * Link a Doctor to a companion for the span between two episodes
+   */
+  async attachDoctor(companionId, { doctor_id, start_episode_id, end_episode_id = null }) {
+    await this.getById(companionId);
+
+    const doctor = await Doctor.findByPk(doctor_id);
+    if (!doctor) {
+      throw new NotFoundError('Doctor');
+    }
+
+    const episodeIds = [start_episode_id, end_episode_id].filter(Boolean);
+    const episodeCount = await Episode.count({ where: { episode_id: episodeIds } });
+    if (episodeCount !== new Set(episodeIds).size) {
+      throw new NotFoundError('Episode');
+    }
+
+    const existing = await DoctorCompanion.findOne({
+      where: { doctor_id, companion_id: companionId, start_episode_id }
+    });
+    if (existing) {
+      throw new ConflictError('This Doctor is already linked to the companion from that episode');
+    }
+
+    await DoctorCompanion.create({
+      doctor_id,
+      companion_id: companionId,
+      start_episode_id,
+      end_episode_id
+    });
+    await statsService.refresh({ doctor: [doctor_id] });
+
+    return this.getCompanionById(companionId);
+  }
+
+  /**
+   * Remove a Doctor link from a companion.
+   * When startEpisodeId is given only that stint is removed, otherwise every stint with the Doctor.
+   */
+  async detachDoctor(companionId, doctorId, startEpisodeId = null) {
+    await this.getById(companionId);
+
+    const where = { doctor_id: doctorId, companion_id: companionId };
+    if (startEpisodeId) {
+      where.start_episode_id = startEpisodeId;
+    }
+
+    const removed = await DoctorCompanion.destroy({ where });
+    if (removed === 0) {
+      throw new NotFoundError('Doctor link');
+    }
+    await statsService.refresh({ doctor: [doctorId] });
+
+    return this.getCompanionById(companionId);
+  }
+}
+
+module.exports = new CompanionService();
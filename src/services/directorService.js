@@ -0,0 +1,104 @@
+/**
+ * Service for Director-related operations
+ * Extends BaseService to inherit common CRUD operations
+ */
+
+const BaseService = require('./BaseService');
+const { Director, Episode, Season, Writer } = require('../models');
+const { ConflictError } = require('../utils/errors');
+
+class DirectorService extends BaseService {
+  constructor() {
+    super(Director, 'Director');
+    this.includablePaths = [
+      'episodes',
+      'episodes.season'
+    ];
+  }
+
+  /**
+   * Get a page of directors
+   */
+  async getAllDirectors(query = {}) {
+    return this.getPaginated(query, { order: [['name', 'ASC']] });
+  }
+
+  /**
+   * Get a director by ID
+   */
+  async getDirectorById(id, query = {}) {
+    return this.getById(id, this.projection(query));
+  }
+
+  /**
+   * Alias methods for consistency with existing code
+   */
+  async createDirector(data) {
+    return this.create(data);
+  }
+
+  async updateDirector(id, data) {
+    return this.update(id, data);
+  }
+
+  /**
+   * Delete a director once they are credited on no episode
+   */
+  async deleteDirector(id) {
+    await this.getById(id);
+
+    const episodeCount = await Episode.count({ where: { director_id: id } });
+    if (episodeCount > 0) {
+      throw new ConflictError(`Director is still credited on ${episodeCount} episode(s)`);
+    }
+
+    return this.delete(id);
+  }
+
+  /**
+   * Get the episodes a director directed, grouped by season with air-date ranges
+   */
+  async getDirectorFilmography(id) {
+    const director = await this.getById(id);
+
+    const episodes = await Episode.findAll({
+      where: { director_id: id },
+      include: [
+        { model: Season, as: 'season' },
+        { model: Writer, as: 'writer' }
+      ],
+      order: [['air_date', 'ASC'], ['episode_number', 'ASC'], ['episode_id', 'ASC']]
+    });
+
+    const seasonsById = new Map();
+    episodes.forEach(episode => {
+      const { season, ...rest } = episode.toJSON();
+      if (!seasonsById.has(episode.season_id)) {
+        seasonsById.set(episode.season_id, {
+          season,
+          episode_count: 0,
+          first_air_date: null,
+          last_air_date: null,
+          episodes: []
+        });
+      }
+
+      const group = seasonsById.get(episode.season_id);
+      group.episodes.push(rest);
+      group.episode_count++;
+      // DATEONLY values are YYYY-MM-DD strings, so string comparison orders them correctly
+      if (rest.air_date) {
+        if (!group.first_air_date || rest.air_date < group.first_air_date) group.first_air_date = rest.air_date;
+        if (!group.last_air_date || rest.air_date > group.last_air_date) group.last_air_date = rest.air_date;
+      }
+    });
+
+    return {
+      director,
+      total_episodes: episodes.length,
+      seasons: Array.from(seasonsById.values())
+    };
+  }
+}
+
+module.exports = new DirectorService();
@@ -4,11 +4,20 @@
  */
 
 const BaseService = require('./BaseService');
-const { Doctor, Actor, Episode, Season } = require('../models');
+const { Doctor, Actor, Episode, Season, Tardis } = require('../models');
+const statsService = require('./statsService');
 
 class DoctorService extends BaseService {
   constructor() {
     super(Doctor, 'Doctor');
+    this.includablePaths = [
+      'actor',
+      'firstEpisode.season',
+      'lastEpisode.season',
+      'companions.actor',
+      'tardis',
+      'characters'
+    ];
     this.defaultIncludes = [
       { model: Actor, as: 'actor' },
       {
@@ -25,32 +34,54 @@ class DoctorService extends BaseService {
   }
 
   /**
-   * Get all doctors with related data
+   * Get a page of doctors with related data
    */
-  async getAllDoctors() {
-    return this.getAll({ include: this.defaultIncludes });
+  async getAllDoctors(query = {}) {
+    return this.getPaginated(query, {
+      include: this.defaultIncludes,
+      order: [['incarnation_number', 'ASC']]
+    });
   }
 
   /**
-   * Get a doctor by ID with related data
+   * Get a doctor by ID with related data, including their TARDIS
    */
-  async getDoctorById(id) {
-    return this.getById(id, { include: this.defaultIncludes });
+  async getDoctorById(id, query = {}) {
+    return this.getById(id, this.projection(query, {
+      include: [...this.defaultIncludes, { model: Tardis, as: 'tardis' }]
+    }));
   }
 
   /**
-   * Alias methods for consistency with existing code
+   * Alias methods for consistency with existing code.
+   * Writes refresh the Doctor's stats row; moving the first or last episode moves the whole era,
+   * so the rows that depended on the old bounding episodes are refreshed too.
    */
   async createDoctor(data) {
-    return this.create(data);
+    const doctor = await this.create(data);
+    await statsService.refresh({ doctor: [doctor.doctor_id] });
+    return doctor;
   }
 
   async updateDoctor(id, data) {
-    return this.update(id, data);
+    const previous = await this.getById(id);
+    const eraEpisodes = (doctor) => [doctor.first_episode_id, doctor.last_episode_id].filter(Boolean);
+    const eraChanged = data.first_episode_id !== undefined || data.last_episode_id !== undefined;
+    const before = eraChanged ? await statsService.keysForEpisodes(eraEpisodes(previous)) : {};
+
+    const doctor = await this.update(id, data);
+    if (eraChanged) {
+      await statsService.refreshEpisodes(eraEpisodes(doctor), before, { doctor: [doctor.doctor_id] });
+    } else {
+      await statsService.refresh({ doctor: [doctor.doctor_id] });
+    }
+    return doctor;
   }
 
   async deleteDoctor(id) {
-    return this.delete(id);
+    const result = await this.delete(id);
+    await statsService.refresh({ doctor: [Number(id)] });
+    return result;
   }
 }
 
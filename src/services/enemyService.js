@@ -0,0 +1,150 @@
+/**
+ * Service for Enemy-related operations
+ * Extends BaseService to inherit common CRUD operations
+ */
+
+const BaseService = require('./BaseService');
+const sequelize = require('../db/sequelize');
+const { Enemy, Species, Planet, Episode, Season, EnemyEpisode, Character } = require('../models');
+const { NotFoundError, ConflictError, DatabaseError } = require('../utils/errors');
+const statsService = require('./statsService');
+
+class EnemyService extends BaseService {
+  constructor() {
+    super(Enemy, 'Enemy');
+    this.includablePaths = [
+      'species',
+      'homePlanet',
+      'episodes.season',
+      'characters'
+    ];
+    this.defaultIncludes = [
+      { model: Species, as: 'species' },
+      { model: Planet, as: 'homePlanet' }
+    ];
+  }
+
+  /**
+   * Get a page of enemies with related data
+   */
+  async getAllEnemies(query = {}) {
+    return this.getPaginated(query, { include: this.defaultIncludes, order: [['name', 'ASC']] });
+  }
+
+  /**
+   * Get an enemy by ID with related data and episode appearances
+   */
+  async getEnemyById(id, query = {}) {
+    return this.getById(id, this.projection(query, {
+      include: [
+        ...this.defaultIncludes,
+        {
+          model: Episode,
+          as: 'episodes',
+          through: { attributes: ['role'] }
+        }
+      ]
+    }));
+  }
+
+  /**
+   * Alias methods for consistency with existing code.
+   * Writes refresh the enemy's stats row and the enemy counts of its old and new home planets.
+   */
+  async createEnemy(data) {
+    const enemy = await this.create(data);
+    await statsService.refresh({ enemy: [enemy.enemy_id], planet: [enemy.home_planet_id].filter(Boolean) });
+    return enemy;
+  }
+
+  async updateEnemy(id, data) {
+    const { home_planet_id: previousPlanetId } = await this.getById(id);
+    const enemy = await this.update(id, data);
+    await statsService.refresh({
+      enemy: [enemy.enemy_id],
+      planet: [previousPlanetId, enemy.home_planet_id].filter(Boolean)
+    });
+    return enemy;
+  }
+
+  /**
+   * Delete an enemy together with its episode appearances.
+   * Characters still pointing at the enemy must be reassigned first.
+   */
+  async deleteEnemy(id) {
+    const enemy = await this.getById(id);
+
+    const characterCount = await Character.count({ where: { enemy_id: id } });
+    if (characterCount > 0) {
+      throw new ConflictError(`Enemy is still referenced by ${characterCount} character(s)`);
+    }
+
+    const appearances = await EnemyEpisode.findAll({ attributes: ['episode_id'], where: { enemy_id: id }, raw: true });
+    const before = await statsService.keysForEpisodes(appearances.map(row => row.episode_id));
+
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await EnemyEpisode.destroy({ where: { enemy_id: id }, transaction });
+        await enemy.destroy({ transaction });
+      });
+    } catch (error) {
+      throw new DatabaseError('Failed to delete Enemy');
+    }
+
+    await statsService.refreshEpisodes(appearances.map(row => row.episode_id), before, { enemy: [id] });
+    return { message: 'Enemy deleted successfully' };
+  }
+
+  /**
+   * Get the episodes an enemy appears in, with the role played
+   */
+  async getEnemyEpisodes(id) {
+    await this.getById(id);
+    return EnemyEpisode.findAll({
+      where: { enemy_id: id },
+      include: [{
+        model: Episode,
+        as: 'episode',
+        include: [{ model: Season, as: 'season' }]
+      }],
+      order: [[{ model: Episode, as: 'episode' }, 'air_date', 'ASC']]
+    });
+  }
+
+  /**
+   * Record an enemy appearance in an episode
+   */
+  async addAppearance(enemyId, { episode_id, role = null }) {
+    await this.getById(enemyId);
+
+    const episode = await Episode.findByPk(episode_id);
+    if (!episode) {
+      throw new NotFoundError('Episode');
+    }
+
+    const existing = await EnemyEpisode.findOne({ where: { enemy_id: enemyId, episode_id } });
+    if (existing) {
+      throw new ConflictError('Enemy already appears in this episode');
+    }
+
+    const appearance = await EnemyEpisode.create({ enemy_id: enemyId, episode_id, role });
+    await statsService.refreshEpisodes([episode_id]);
+    return appearance;
+  }
+
+  /**
+   * Remove an enemy appearance from an episode
+   */
+  async removeAppearance(enemyId, episodeId) {
+    await this.getById(enemyId);
+
+    const removed = await EnemyEpisode.destroy({ where: { enemy_id: enemyId, episode_id: episodeId } });
+    if (removed === 0) {
+      throw new NotFoundError('Enemy appearance');
+    }
+
+    await statsService.refreshEpisodes([episodeId], {}, { enemy: [enemyId] });
+  }
+}
+
+module.exports = new EnemyService();
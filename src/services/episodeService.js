@@ -3,12 +3,26 @@
  * Extends BaseService to inherit common CRUD operations
  */
 
+const { Sequelize, Op } = require('sequelize');
 const BaseService = require('./BaseService');
-const { Episode, Season, Writer, Director } = require('../models');
+const { Episode, Season, Writer, Director, EpisodeAppearance, Character, Species } = require('../models');
+const { buildListQuery } = require('../utils/listQuery');
+const { PROJECTION_PARAMS } = require('../utils/projection');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { BadRequestError, DatabaseError } = require('../utils/errors');
+const statsService = require('./statsService');
 
 class EpisodeService extends BaseService {
   constructor() {
     super(Episode, 'Episode');
+    this.includablePaths = [
+      'season.showrunner',
+      'writer',
+      'director',
+      'appearances.character',
+      'locations.planet',
+      'enemyEpisodes.enemy'
+    ];
     this.defaultIncludes = [
       { model: Season, as: 'season' },
       { model: Writer, as: 'writer' },
@@ -17,11 +31,11 @@ class EpisodeService extends BaseService {
   }
 
   /**
-   * Get all episodes with related data, ordered by air date (episodes with dates first, then by episode_id)
+   * Get a page of episodes with related data, ordered by air date (episodes with dates first, then by episode_id)
+   * unless the client asks for a different sort
    */
-  async getAllEpisodes() {
-    const { Sequelize } = require('sequelize');
-    return this.getAll({
+  async getAllEpisodes(query = {}) {
+    return this.getPaginated(query, {
       include: this.defaultIncludes,
       order: [
         [Sequelize.literal('CASE WHEN air_date IS NULL THEN 1 ELSE 0 END'), 'ASC'],
@@ -31,26 +45,164 @@ class EpisodeService extends BaseService {
     });
   }
 
+  /**
+   * Get a window of the episode timeline using keyset pagination.
+   * Same ordering as getAllEpisodes, read in two phases so each one follows an index:
+   * dated episodes by (air_date, episode_id) on idx_episode_air_date (InnoDB appends the
+   * primary key to secondary indexes), then undated episodes by episode_id. A page that
+   * runs out of dated episodes carries on into the undated ones; the cursor records its phase.
+   */
+  async getEpisodeTimeline(query = {}) {
+    const { cursor, ...rest } = query;
+    if (['sort', 'offset', 'page'].some(param => rest[param] !== undefined)) {
+      throw new BadRequestError('The timeline is ordered by air date; use cursor instead of sort, offset or page');
+    }
+
+    const { where: filters, limit } = buildListQuery(rest, {
+      filterable: this.filterableFields,
+      reserved: PROJECTION_PARAMS
+    });
+    const { attributes, include } = this.projection(rest, { include: this.defaultIncludes });
+    // Cursors are built from air_date, so keep it even when ?fields= leaves it out
+    if (attributes && !attributes.includes('air_date')) {
+      attributes.push('air_date');
+    }
+    const position = cursor ? this.decodeTimelineCursor(cursor) : null;
+    const backward = position !== null && position.dir === 'prev';
+
+    // Forward the dated phase comes first, backward the undated one
+    const phases = backward ? ['undated', 'dated'] : ['dated', 'undated'];
+    const startPhase = position ? position.p : 'dated';
+
+    // One extra row tells us whether another page exists in this direction
+    let rows = [];
+    try {
+      for (const phase of phases.slice(phases.indexOf(startPhase))) {
+        const key = position && phase === position.p ? position : null;
+        rows = rows.concat(await Episode.findAll({
+          where: { [Op.and]: [filters, this.timelinePhaseCondition(phase, key, backward)] },
+          attributes,
+          include,
+          order: this.timelinePhaseOrder(phase, backward),
+          limit: limit + 1 - rows.length
+        }));
+        if (rows.length > limit) break;
+      }
+    } catch (error) {
+      throw new DatabaseError('Failed to fetch Episode timeline');
+    }
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    if (backward) page.reverse();
+
+    // Whatever sits on the far side of the cursor we came from is always there
+    const hasNext = backward ? true : hasMore;
+    const hasPrev = backward ? hasMore : position !== null;
+    const first = page[0];
+    const last = page[page.length - 1];
+
+    return {
+      rows: page,
+      limit,
+      next: hasNext && last ? this.encodeTimelineCursor(last, 'next') : null,
+      prev: hasPrev && first ? this.encodeTimelineCursor(first, 'prev') : null
+    };
+  }
+
+  /**
+   * WHERE clause for one timeline phase, strictly after (or before) the cursor when it is in that phase.
+   * The dated range is spelled out as an OR because MySQL only range-optimizes row constructors
+   * for IN(); this form is still a single contiguous range on (air_date, episode_id).
+   */
+  timelinePhaseCondition(phase, key, backward) {
+    const compare = backward ? Op.lt : Op.gt;
+    if (phase === 'undated') {
+      return key ? { air_date: null, episode_id: { [compare]: key.id } } : { air_date: null };
+    }
+    if (!key) {
+      return { air_date: { [Op.ne]: null } };
+    }
+    return {
+      [Op.or]: [
+        { air_date: { [compare]: key.d } },
+        { air_date: key.d, episode_id: { [compare]: key.id } }
+      ]
+    };
+  }
+
+  timelinePhaseOrder(phase, backward) {
+    const direction = backward ? 'DESC' : 'ASC';
+    return phase === 'dated'
+      ? [['air_date', direction], ['episode_id', direction]]
+      : [['episode_id', direction]];
+  }
+
+  encodeTimelineCursor(episode, dir) {
+    return episode.air_date
+      ? encodeCursor({ p: 'dated', d: episode.air_date, id: episode.episode_id, dir })
+      : encodeCursor({ p: 'undated', id: episode.episode_id, dir });
+  }
+
+  decodeTimelineCursor(cursor) {
+    const { p, d, id, dir } = decodeCursor(cursor);
+    const validPosition = p === 'undated'
+      ? d === undefined
+      : p === 'dated' && typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d);
+    if (!validPosition || !Number.isInteger(id) || (dir !== 'next' && dir !== 'prev')) {
+      throw new BadRequestError('Invalid cursor');
+    }
+    return { p, d, id, dir };
+  }
+
   /**
    * Get an episode by ID with related data
    */
-  async getEpisodeById(id) {
-    return this.getById(id, { include: this.defaultIncludes });
+  async getEpisodeById(id, query = {}) {
+    return this.getById(id, this.projection(query, { include: this.defaultIncludes }));
+  }
+
+  /**
+   * Get the cast of an episode, ordered by screen time (longest first)
+   */
+  async getEpisodeCast(id) {
+    await this.getById(id);
+    return EpisodeAppearance.findAll({
+      where: { episode_id: id },
+      include: [{
+        model: Character,
+        as: 'character',
+        include: [{ model: Species, as: 'species' }]
+      }],
+      order: [
+        ['screen_time_min', 'DESC'],
+        [{ model: Character, as: 'character' }, 'name', 'ASC']
+      ]
+    });
   }
 
   /**
-   * Alias methods for consistency with existing code
+   * Writes refresh the materialized stats rows that depend on the episode.
+   * Keys are captured before updates and deletes so the old season/era is refreshed too.
    */
   async createEpisode(data) {
-    return this.create(data);
+    const episode = await this.create(data);
+    await statsService.refreshEpisodes([episode.episode_id]);
+    return episode;
   }
 
   async updateEpisode(id, data) {
-    return this.update(id, data);
+    const before = await statsService.keysForEpisodes([id]);
+    const episode = await this.update(id, data);
+    await statsService.refreshEpisodes([id], before);
+    return episode;
   }
 
   async deleteEpisode(id) {
-    return this.delete(id);
+    const before = await statsService.keysForEpisodes([id]);
+    const result = await this.delete(id);
+    await statsService.refreshEpisodes([id], before);
+    return result;
   }
 }
 
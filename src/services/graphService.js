@@ -0,0 +1,332 @@
+/**
+ * Service for the relationship graph over existing associations
+ * Nodes are "type:id" references; edges come from junction tables and role foreign keys
+ */
+
+const { Op } = require('sequelize');
+const {
+  Doctor, Companion, Episode, Enemy, Planet, Character, Actor,
+  DoctorCompanion, EnemyEpisode, EpisodeLocation, EpisodeAppearance
+} = require('../models');
+const { BadRequestError, NotFoundError, DatabaseError } = require('../utils/errors');
+const { GRAPH } = require('../config/constants');
+
+/**
+ * Node types: the model behind each and how to label it
+ */
+const NODE_TYPES = {
+  doctor: { model: Doctor, key: 'doctor_id', attributes: ['incarnation_number'], label: row => `Doctor #${row.incarnation_number}` },
+  companion: { model: Companion, key: 'companion_id', attributes: ['name'], label: row => row.name },
+  episode: { model: Episode, key: 'episode_id', attributes: ['title'], label: row => row.title },
+  enemy: { model: Enemy, key: 'enemy_id', attributes: ['name'], label: row => row.name },
+  planet: { model: Planet, key: 'planet_id', attributes: ['name'], label: row => row.name },
+  character: { model: Character, key: 'character_id', attributes: ['name'], label: row => row.name },
+  actor: { model: Actor, key: 'actor_id', attributes: ['name'], label: row => row.name }
+};
+
+/**
+ * Edge types. Each source table links two node types through two columns;
+ * `data` columns are copied onto the edge.
+ */
+const EDGE_TYPES = {
+  doctor_companion: [
+    { model: DoctorCompanion, ends: [['doctor', 'doctor_id'], ['companion', 'companion_id']], data: [] }
+  ],
+  enemy_episode: [
+    { model: EnemyEpisode, ends: [['enemy', 'enemy_id'], ['episode', 'episode_id']], data: ['role'] }
+  ],
+  episode_planet: [
+    { model: EpisodeLocation, ends: [['episode', 'episode_id'], ['planet', 'planet_id']], data: ['visit_order'] }
+  ],
+  character_episode: [
+    { model: EpisodeAppearance, ends: [['character', 'character_id'], ['episode', 'episode_id']], data: ['character_type'] }
+  ],
+  // Doctors and companions linked to the episodes that open and close their eras
+  doctor_episode: [
+    { model: Doctor, ends: [['doctor', 'doctor_id'], ['episode', 'first_episode_id']], data: [] },
+    { model: Doctor, ends: [['doctor', 'doctor_id'], ['episode', 'last_episode_id']], data: [] }
+  ],
+  companion_episode: [
+    { model: Companion, ends: [['companion', 'companion_id'], ['episode', 'first_episode_id']], data: [] },
+    { model: Companion, ends: [['companion', 'companion_id'], ['episode', 'last_episode_id']], data: [] }
+  ],
+  // Characters that are a Doctor or an enemy
+  character_role: [
+    { model: Character, ends: [['character', 'character_id'], ['doctor', 'doctor_id']], data: [] },
+    { model: Character, ends: [['character', 'character_id'], ['enemy', 'enemy_id']], data: [] }
+  ],
+  // Actors linked to the Doctors and companions they played
+  actor_role: [
+    { model: Doctor, ends: [['actor', 'actor_id'], ['doctor', 'doctor_id']], data: [] },
+    { model: Companion, ends: [['actor', 'actor_id'], ['companion', 'companion_id']], data: [] }
+  ]
+};
+
+const nodeId = (type, id) => `${type}:${id}`;
+
+/**
+ * Parse a "type:id" node reference
+ */
+const parseNodeRef = (value, param) => {
+  const match = /^([a-z]+):(\d+)$/.exec(String(value || '').trim());
+  if (!match) {
+    throw new BadRequestError(`Invalid ${param} node. Use type:id, e.g. companion:12`);
+  }
+  const [, type, id] = match;
+  if (!NODE_TYPES[type]) {
+    throw new BadRequestError(`Unknown node type "${type}". Valid types: ${Object.keys(NODE_TYPES).join(', ')}`);
+  }
+  return { type, id: parseInt(id) };
+};
+
+/**
+ * Parse ?edges=a,b into edge type names (all edge types when omitted)
+ */
+const parseEdgeTypes = (value) => {
+  if (value === undefined || value === '') return Object.keys(EDGE_TYPES);
+
+  const requested = String(value).split(',').map(token => token.trim()).filter(Boolean);
+  const unknown = requested.filter(type => !EDGE_TYPES[type]);
+  if (unknown.length > 0) {
+    throw new BadRequestError(
+      `Unknown edge type(s): ${unknown.join(', ')}. Valid edge types: ${Object.keys(EDGE_TYPES).join(', ')}`
+    );
+  }
+  return requested;
+};
+
+/**
+ * Parse a hop count between 1 and GRAPH.MAX_DEPTH
+ */
+const parseDepth = (value, fallback, param) => {
+  if (value === undefined) return fallback;
+  const depth = parseInt(value);
+  if (isNaN(depth) || depth < 1 || depth > GRAPH.MAX_DEPTH) {
+    throw new BadRequestError(`${param} must be between 1 and ${GRAPH.MAX_DEPTH}`);
+  }
+  return depth;
+};
+
+class GraphService {
+  /**
+   * Load edges touching any node in the frontier.
+   * @param {Map<string, Set<number>>} frontier - node type -> entity IDs
+   * @param {string[]} edgeTypes - edge types to follow
+   * @returns {Array<{ source: string, target: string, type: string, data?: Object }>} edges oriented from the frontier
+   */
+  async expand(frontier, edgeTypes) {
+    const edges = [];
+    const seen = new Set();
+
+    for (const edgeType of edgeTypes) {
+      for (const { model, ends, data } of EDGE_TYPES[edgeType]) {
+        for (let side = 0; side < 2; side++) {
+          const [fromType, fromKey] = ends[side];
+          const [toType, toKey] = ends[1 - side];
+          const ids = frontier.get(fromType);
+          if (!ids || ids.size === 0) continue;
+
+          const rows = await model.findAll({
+            attributes: [fromKey, toKey, ...data],
+            where: { [fromKey]: Array.from(ids), [toKey]: { [Op.ne]: null } },
+            raw: true
+          });
+
+          rows.forEach(row => {
+            const source = nodeId(fromType, row[fromKey]);
+            const target = nodeId(toType, row[toKey]);
+            // Junction tables can hold several rows per pair (e.g. repeat tenures); keep one edge
+            const edgeKey = `${edgeType}|${source}|${target}`;
+            if (seen.has(edgeKey)) return;
+            seen.add(edgeKey);
+
+            const edge = { source, target, type: edgeType };
+            if (data.length > 0) {
+              edge.data = {};
+              data.forEach(column => { edge.data[column] = row[column]; });
+            }
+            edges.push(edge);
+          });
+        }
+      }
+    }
+
+    return edges;
+  }
+
+  /**
+   * Resolve node references into renderable nodes with labels
+   * @param {string[]} ids - "type:id" references
+   */
+  async describeNodes(ids) {
+    const labels = new Map();
+    for (const [type, entityIds] of this.groupByType(ids)) {
+      const { model, key, attributes, label } = NODE_TYPES[type];
+      const rows = await model.findAll({
+        attributes: [key, ...attributes],
+        where: { [key]: Array.from(entityIds) },
+        raw: true
+      });
+      rows.forEach(row => labels.set(nodeId(type, row[key]), label(row)));
+    }
+
+    return ids.map(id => {
+      const [type, entityId] = id.split(':');
+      return { id, type, entity_id: parseInt(entityId), label: labels.get(id) ?? null };
+    });
+  }
+
+  /**
+   * Fail with a 404 when a node's record does not exist
+   */
+  async assertNodeExists({ type, id }) {
+    const { model } = NODE_TYPES[type];
+    const record = await model.findByPk(id, { attributes: [NODE_TYPES[type].key] });
+    if (!record) {
+      throw new NotFoundError(type.charAt(0).toUpperCase() + type.slice(1));
+    }
+  }
+
+  /**
+   * Get the neighborhood of a node up to `depth` hops.
+   * Query: ?edges=doctor_companion,enemy_episode, ?depth= (default 1)
+   * @returns {{ root: string, depth: number, nodes: Array, edges: Array, truncated: boolean }}
+   */
+  async getNeighbors(type, id, query = {}) {
+    const root = parseNodeRef(`${type}:${id}`, 'root');
+    const edgeTypes = parseEdgeTypes(query.edges);
+    const depth = parseDepth(query.depth, GRAPH.DEFAULT_NEIGHBOR_DEPTH, 'depth');
+
+    await this.assertNodeExists(root);
+
+    try {
+      const rootId = nodeId(root.type, root.id);
+      const visited = new Set([rootId]);
+      const edges = [];
+      let frontier = [rootId];
+      let truncated = false;
+
+      for (let hop = 0; hop < depth && frontier.length > 0 && !truncated; hop++) {
+        const found = await this.expand(this.groupByType(frontier), edgeTypes);
+        const next = [];
+        for (const edge of found) {
+          if (!visited.has(edge.target)) {
+            if (visited.size >= GRAPH.MAX_VISITED_NODES) {
+              truncated = true;
+              break;
+            }
+            visited.add(edge.target);
+            next.push(edge.target);
+          }
+          edges.push(edge);
+        }
+        frontier = next;
+      }
+
+      // Edges found from both ends on deeper hops are the same relationship
+      const uniqueEdges = this.dedupeEdges(edges).filter(edge => visited.has(edge.source) && visited.has(edge.target));
+
+      return {
+        root: rootId,
+        depth,
+        nodes: await this.describeNodes(Array.from(visited)),
+        edges: uniqueEdges,
+        truncated
+      };
+    } catch (error) {
+      throw new DatabaseError('Failed to load graph neighbors');
+    }
+  }
+
+  /**
+   * Find the shortest path between two nodes with a breadth-first search.
+   * Query: ?from=companion:12&to=enemy:4, ?edges=, ?max_depth= (default GRAPH.DEFAULT_PATH_DEPTH)
+   * @returns {{ found: boolean, length: number|null, nodes: Array, edges: Array, explored: number, truncated: boolean }}
+   */
+  async findPath(query = {}) {
+    const from = parseNodeRef(query.from, 'from');
+    const to = parseNodeRef(query.to, 'to');
+    const edgeTypes = parseEdgeTypes(query.edges);
+    const maxDepth = parseDepth(query.max_depth, GRAPH.DEFAULT_PATH_DEPTH, 'max_depth');
+
+    await this.assertNodeExists(from);
+    await this.assertNodeExists(to);
+
+    const start = nodeId(from.type, from.id);
+    const goal = nodeId(to.type, to.id);
+
+    try {
+      // node -> edge used to reach it (null for the start node)
+      const parents = new Map([[start, null]]);
+      let frontier = [start];
+      let truncated = false;
+
+      for (let hop = 0; hop < maxDepth && frontier.length > 0 && !parents.has(goal) && !truncated; hop++) {
+        const found = await this.expand(this.groupByType(frontier), edgeTypes);
+        const next = [];
+        for (const edge of found) {
+          if (parents.has(edge.target)) continue;
+          if (parents.size >= GRAPH.MAX_VISITED_NODES) {
+            truncated = true;
+            break;
+          }
+          parents.set(edge.target, edge);
+          next.push(edge.target);
+        }
+        frontier = next;
+      }
+
+      if (!parents.has(goal)) {
+        return { found: false, length: null, nodes: [], edges: [], explored: parents.size, truncated };
+      }
+
+      const pathEdges = [];
+      let current = goal;
+      while (parents.get(current)) {
+        const edge = parents.get(current);
+        pathEdges.unshift(edge);
+        current = edge.source;
+      }
+      const pathNodes = [start, ...pathEdges.map(edge => edge.target)];
+
+      return {
+        found: true,
+        length: pathEdges.length,
+        nodes: await this.describeNodes(pathNodes),
+        edges: pathEdges,
+        explored: parents.size,
+        truncated
+      };
+    } catch (error) {
+      throw new DatabaseError('Failed to search the graph');
+    }
+  }
+
+  /**
+   * Group "type:id" references into a type -> IDs map for batched expansion
+   */
+  groupByType(ids) {
+    const grouped = new Map();
+    ids.forEach(id => {
+      const [type, entityId] = id.split(':');
+      if (!grouped.has(type)) grouped.set(type, new Set());
+      grouped.get(type).add(parseInt(entityId));
+    });
+    return grouped;
+  }
+
+  /**
+   * Drop edges that describe the same relationship in the opposite direction
+   */
+  dedupeEdges(edges) {
+    const seen = new Set();
+    return edges.filter(edge => {
+      const key = `${edge.type}|${[edge.source, edge.target].sort().join('|')}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+module.exports = new GraphService();
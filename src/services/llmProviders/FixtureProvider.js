@@ -0,0 +1,89 @@
+/**
+ * Offline, deterministic LLM stand-in for development and demos.
+ * Questions are matched against regex fixtures that carry a canned SQL query and/or chat answer;
+ * summaries are built from the returned rows. No network access or API key needed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures.json');
+const SUMMARY_SAMPLE_ROWS = 5;
+
+const UNANSWERABLE_SQL = "SELECT 'unanswerable' AS error";
+
+/**
+ * Replace $1, $2, ... in a fixture with the pattern's capture groups
+ */
+const substitute = (template, match) => template.replace(/\$(\d+)/g, (placeholder, index) => match[index] ?? '');
+
+const describeRow = (row) => Object.entries(row).map(([column, value]) => `${column}: ${value}`).join(', ');
+
+class FixtureProvider {
+  /**
+   * @param {Object} config
+   * @param {string} [config.fixturesPath] - JSON array of { pattern, sql?, answer? }
+   */
+  constructor({ fixturesPath } = {}) {
+    this.name = 'fixture';
+    this.model = 'fixture';
+    this.fixturesPath = fixturesPath || DEFAULT_FIXTURES;
+    this.fixtures = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8')).map(fixture => ({
+      ...fixture,
+      regex: new RegExp(fixture.pattern, 'i')
+    }));
+  }
+
+  /**
+   * First fixture whose pattern matches the question, with its capture groups
+   */
+  match(question) {
+    for (const fixture of this.fixtures) {
+      const match = fixture.regex.exec(question);
+      if (match) return { fixture, match };
+    }
+    return null;
+  }
+
+  /**
+   * @param {Array<{ role: string, content: string }>} messages - the last user message is the question
+   * @param {{ task: 'chat'|'sql'|'summary', context?: { rows: Array } }} options
+   */
+  async complete(messages, { task, context }) {
+    const question = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    const found = this.match(question);
+
+    if (task === 'sql') {
+      return found?.fixture.sql ? substitute(found.fixture.sql, found.match) : UNANSWERABLE_SQL;
+    }
+
+    if (task === 'summary') {
+      const rows = context?.rows || [];
+      if (rows.length === 0) return 'No rows matched the question.';
+      const lines = rows.slice(0, SUMMARY_SAMPLE_ROWS).map(row => `- ${describeRow(row)}`);
+      const more = rows.length > SUMMARY_SAMPLE_ROWS ? `\n...and ${rows.length - SUMMARY_SAMPLE_ROWS} more.` : '';
+      return `${rows.length} row(s) matched:\n${lines.join('\n')}${more}`;
+    }
+
+    if (found?.fixture.answer) {
+      return substitute(found.fixture.answer, found.match);
+    }
+    return found
+      ? 'I can answer that from the data: ask again with SQL mode switched on.'
+      : `The offline fixture provider has no answer for that. Questions it knows: ${this.fixtures.map(fixture => fixture.example).filter(Boolean).join('; ')}`;
+  }
+
+  /**
+   * Stream the same text word by word, so streaming clients can be exercised offline
+   * @returns {AsyncGenerator<string>}
+   */
+  async *stream(messages, options) {
+    const text = await this.complete(messages, options);
+    for (const word of text.match(/\S+\s*/g) || []) {
+      options.signal?.throwIfAborted();
+      yield word;
+    }
+  }
+}
+
+module.exports = FixtureProvider;
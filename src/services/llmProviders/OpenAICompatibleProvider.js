@@ -0,0 +1,22 @@
+/**
+ * LLM provider for servers that speak the OpenAI chat completions API
+ * (Ollama, LM Studio, vLLM, llama.cpp server, ...) at a custom base URL
+ */
+
+const OpenAIProvider = require('./OpenAIProvider');
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.baseURL - e.g. http://localhost:11434/v1
+   * @param {string} config.model
+   * @param {string} [config.apiKey] - most local servers ignore it, but the client requires a value
+   */
+  constructor({ baseURL, model, apiKey }) {
+    super({ apiKey: apiKey || 'not-needed', model, baseURL });
+    this.name = 'openai-compatible';
+    this.baseURL = baseURL;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,55 @@
+/**
+ * LLM provider backed by the OpenAI chat completions API
+ */
+
+const { OpenAI } = require('openai');
+
+class OpenAIProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.apiKey
+   * @param {string} config.model
+   * @param {string} [config.baseURL] - defaults to api.openai.com
+   */
+  constructor({ apiKey, model, baseURL }) {
+    this.name = 'openai';
+    this.model = model;
+    this.client = new OpenAI({ apiKey, baseURL });
+  }
+
+  /**
+   * @param {Array<{ role: string, content: string }>} messages
+   * @param {{ temperature: number, maxTokens: number, signal?: AbortSignal }} options
+   * @returns {Promise<string>} the completion text
+   */
+  async complete(messages, { temperature, maxTokens, signal }) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    }, { signal });
+    return completion.choices[0].message.content;
+  }
+
+  /**
+   * Stream the completion as text deltas. Aborting the signal cancels the upstream request.
+   * @returns {AsyncGenerator<string>}
+   */
+  async *stream(messages, { temperature, maxTokens, signal }) {
+    const stream = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true
+    }, { signal });
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,70 @@
+/**
+ * LLM provider selection from environment variables.
+ *
+ *   LLM_PROVIDER     openai | openai-compatible | fixture (default: openai when OPENAI_API_KEY is set)
+ *   LLM_MODEL        model name (default gpt-3.5-turbo)
+ *   LLM_TEMPERATURE  0-2 (default 0.7)
+ *   LLM_MAX_TOKENS   completion token cap (default 500)
+ *   OPENAI_API_KEY   key for the openai provider
+ *   LLM_BASE_URL     server URL for openai-compatible, e.g. http://localhost:11434/v1
+ *   LLM_API_KEY      key for openai-compatible (optional)
+ *   LLM_FIXTURES     fixture file for the fixture provider (default llmProviders/fixtures.json)
+ */
+
+const OpenAIProvider = require('./OpenAIProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const FixtureProvider = require('./FixtureProvider');
+const { LLM } = require('../../config/constants');
+
+const PROVIDERS = {
+  openai: (env, model) => {
+    if (!env.OPENAI_API_KEY) throw new Error('Please set OPENAI_API_KEY in .env file.');
+    return new OpenAIProvider({ apiKey: env.OPENAI_API_KEY, model });
+  },
+  'openai-compatible': (env, model) => {
+    if (!env.LLM_BASE_URL) throw new Error('Please set LLM_BASE_URL in .env file.');
+    return new OpenAICompatibleProvider({ baseURL: env.LLM_BASE_URL, apiKey: env.LLM_API_KEY, model });
+  },
+  fixture: (env) => new FixtureProvider({ fixturesPath: env.LLM_FIXTURES })
+};
+
+/**
+ * Parse a numeric setting, falling back to the default when unset
+ */
+const parseNumber = (value, fallback, name, isValid) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!isValid(number)) throw new Error(`Invalid ${name}: ${value}`);
+  return number;
+};
+
+/**
+ * Build the configured provider.
+ * @returns {{ provider: Object|null, settings: { temperature: number, maxTokens: number }, error: string|null }}
+ *   provider is null (with the reason in error) when nothing usable is configured
+ */
+const createProvider = (env = process.env) => {
+  const settings = { temperature: LLM.DEFAULT_TEMPERATURE, maxTokens: LLM.DEFAULT_MAX_TOKENS };
+
+  try {
+    settings.temperature = parseNumber(env.LLM_TEMPERATURE, LLM.DEFAULT_TEMPERATURE, 'LLM_TEMPERATURE',
+      number => number >= 0 && number <= 2);
+    settings.maxTokens = parseNumber(env.LLM_MAX_TOKENS, LLM.DEFAULT_MAX_TOKENS, 'LLM_MAX_TOKENS',
+      number => Number.isInteger(number) && number > 0);
+
+    const name = env.LLM_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : null);
+    if (!name) {
+      return { provider: null, settings, error: 'Please set OPENAI_API_KEY or LLM_PROVIDER in .env file.' };
+    }
+    if (!PROVIDERS[name]) {
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return { provider: PROVIDERS[name](env, env.LLM_MODEL || LLM.DEFAULT_MODEL), settings, error: null };
+  } catch (error) {
+    console.warn(`[WARN] LLM provider not configured: ${error.message}`);
+    return { provider: null, settings, error: error.message };
+  }
+};
+
+module.exports = { createProvider, PROVIDERS };
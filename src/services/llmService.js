@@ -0,0 +1,301 @@
+/**
+ * Service for natural-language questions about the database
+ * Chat mode answers from a schema description; SQL mode has the model write a query,
+ * runs it read-only and summarizes the rows it returned
+ */
+
+const { Transaction } = require('sequelize');
+const sequelize = require('../db/sequelize');
+const models = require('../models');
+const { ValidationError } = require('../utils/errors');
+const { guardSql } = require('../utils/sqlGuard');
+const { LLM } = require('../config/constants');
+const { createProvider } = require('./llmProviders');
+
+// Bookkeeping tables and stored conversations, which the model has no reason to query
+const HIDDEN_TABLES = ['STATS_REFRESH', 'LLM_SESSIONS', 'LLM_MESSAGES'];
+
+// Views from database_objects.sql (present once `npm run db:objects` has run)
+const QUERYABLE_VIEWS = {
+  doctor_episodes: 'doctor_id, episode_id - every episode each Doctor appears in',
+  doctor_episode_summary: 'per-Doctor episode, companion and enemy counts',
+  enemy_appearance_summary: 'per-enemy appearance counts and episode titles'
+};
+
+// MySQL error for a SELECT stopped by max_execution_time
+const ER_QUERY_TIMEOUT = 3024;
+// MySQL error for a write attempted inside a READ ONLY transaction
+const ER_READ_ONLY_TRANSACTION = 1792;
+
+// Sequelize has no READ ONLY option for MySQL, but sends the isolation level as
+// "SET TRANSACTION ISOLATION LEVEL <value>" right before START TRANSACTION on the same
+// connection; MySQL accepts a list of characteristics there, so this makes the transaction read-only
+const READ_ONLY_TRANSACTION = {
+  isolationLevel: `${Transaction.ISOLATION_LEVELS.REPEATABLE_READ}, READ ONLY`
+};
+
+/**
+ * Column type as MySQL spells it, e.g. VARCHAR(255) or ENUM('Male', 'Female')
+ */
+const columnType = (attribute) => {
+  try {
+    return attribute.type.toSql();
+  } catch (error) {
+    return attribute.type.key;
+  }
+};
+
+/**
+ * Pull the SQL out of a completion, with or without a ```sql fence
+ */
+const extractSql = (text) => {
+  const fenced = /```(?:sql)?\s*([\s\S]*?)```/i.exec(text);
+  return (fenced ? fenced[1] : text).trim().replace(/;\s*$/, '');
+};
+
+class LlmService {
+  constructor() {
+    const { provider, settings, error } = createProvider();
+    this.provider = provider;
+    this.settings = settings;
+    // Why no provider is available, for the 503 response
+    this.configError = error;
+  }
+
+  get configured() {
+    return this.provider !== null;
+  }
+
+  /**
+   * Describe every table from the Sequelize model definitions:
+   * columns with types, primary keys, NOT NULL and foreign key targets
+   * @returns {Array<{ table: string, columns: Array<{ name, type, primary_key, nullable, references }> }>}
+   */
+  getDatabaseSchema() {
+    return Object.values(sequelize.models)
+      .filter(model => !HIDDEN_TABLES.includes(model.tableName))
+      .map(model => ({
+        table: model.tableName,
+        columns: Object.entries(model.rawAttributes).map(([name, attribute]) => ({
+          name: attribute.field || name,
+          type: columnType(attribute),
+          primary_key: Boolean(attribute.primaryKey),
+          nullable: attribute.allowNull !== false && !attribute.primaryKey,
+          references: attribute.references
+            ? `${attribute.references.model.tableName || attribute.references.model}.${attribute.references.key}`
+            : null
+        }))
+      }))
+      .sort((a, b) => a.table.localeCompare(b.table));
+  }
+
+  /**
+   * Render the schema as compact DDL-like lines for a prompt
+   */
+  describeSchema() {
+    return this.getDatabaseSchema().map(({ table, columns }) => {
+      const columnList = columns.map(column => {
+        let line = `${column.name} ${column.type}`;
+        if (column.primary_key) line += ' PRIMARY KEY';
+        if (!column.nullable && !column.primary_key) line += ' NOT NULL';
+        if (column.references) line += ` REFERENCES ${column.references}`;
+        return line;
+      });
+      return `${table} (${columnList.join(', ')})`;
+    }).join('\n');
+  }
+
+  /**
+   * Send messages to the configured provider.
+   * `task` (chat, sql or summary) and `context` let offline providers answer without a model.
+   * SQL generation runs at temperature 0 and summaries at most 0.2 so both stay close to the schema and rows.
+   * With `onToken` the completion is streamed and each text delta passed to it as it arrives;
+   * aborting `signal` cancels the provider request.
+   */
+  async complete(messages, { task, context, signal, onToken } = {}) {
+    const temperatures = {
+      chat: this.settings.temperature,
+      sql: 0,
+      summary: Math.min(this.settings.temperature, 0.2)
+    };
+    const options = {
+      task,
+      context,
+      signal,
+      temperature: temperatures[task],
+      maxTokens: this.settings.maxTokens
+    };
+
+    if (!onToken) {
+      return this.provider.complete(messages, options);
+    }
+
+    let text = '';
+    for await (const delta of this.provider.stream(messages, options)) {
+      text += delta;
+      onToken(delta);
+    }
+    return text;
+  }
+
+  /**
+   * Free-form answer about the database, with a few sample rows for context
+   * @param {Array<{ role: string, content: string }>} history - earlier turns of the conversation
+   * @param {{ signal?: AbortSignal, onToken?: Function }} progress - for streaming clients
+   */
+  async chat(question, history = [], { signal, onToken } = {}) {
+    const sampleDoctors = await models.Doctor.findAll({ limit: 3, include: [{ model: models.Actor, as: 'actor' }] });
+    const sampleEpisodes = await models.Episode.findAll({ limit: 3, include: [{ model: models.Season, as: 'season' }] });
+    const sampleEnemies = await models.Enemy.findAll({ limit: 3 });
+
+    const systemPrompt = `Help users query our Doctor Who database. Schema:
+${this.describeSchema()}
+
+Sample data:
+Doctors: ${JSON.stringify(sampleDoctors.map(d => ({ id: d.doctor_id, incarnation: d.incarnation_number, actor: d.actor?.name })))}
+Episodes: ${JSON.stringify(sampleEpisodes.map(e => ({ id: e.episode_id, title: e.title, season: e.season?.series_number })))}
+Enemies: ${JSON.stringify(sampleEnemies.map(e => ({ id: e.enemy_id, name: e.name, threat: e.threat_level })))}
+
+Answer questions about the database and suggest relevant API endpoints when helpful.`;
+
+    const answer = await this.complete([
+      { role: 'system', content: systemPrompt },
+      ...history,
+      { role: 'user', content: question }
+    ], { task: 'chat', signal, onToken });
+
+    return { mode: 'chat', answer, query: question, provider: this.provider.name, model: this.provider.model };
+  }
+
+  /**
+   * Have the model write one MySQL SELECT statement for the question.
+   * Earlier turns (with their SQL) let follow-up questions refer back to previous results.
+   */
+  async generateSql(question, history = [], { signal } = {}) {
+    const systemPrompt = `You translate questions about a Doctor Who MySQL 8 database into SQL.
+Schema (table (columns)):
+${this.describeSchema()}
+
+Views:
+${Object.entries(QUERYABLE_VIEWS).map(([view, description]) => `${view} - ${description}`).join('\n')}
+
+Rules:
+- Reply with exactly one SELECT statement and nothing else.
+- Use only the tables and columns above. CHARACTER is a reserved word: write it as \`CHARACTER\`.
+- Select readable columns (names, titles, dates) rather than only IDs, and give aggregates clear aliases.
+- If the question cannot be answered from this schema, reply with: SELECT 'unanswerable' AS error
+- A follow-up question may refer to earlier results ("those", "them"); reuse the earlier SQL as needed.`;
+
+    const text = await this.complete([
+      { role: 'system', content: systemPrompt },
+      ...history,
+      { role: 'user', content: question }
+    ], { task: 'sql', signal });
+
+    return extractSql(text);
+  }
+
+  /**
+   * Tables and views generated queries may read
+   */
+  getQueryableTables() {
+    return [...this.getDatabaseSchema().map(({ table }) => table), ...Object.keys(QUERYABLE_VIEWS)];
+  }
+
+  /**
+   * Run a generated query. It must pass the SQL safety check (see utils/sqlGuard), gets a LIMIT
+   * and a server-side time limit, and runs inside a READ ONLY transaction that is always rolled back,
+   * so a query that slips past the guard still cannot write.
+   * @returns {{ sql: string, rows: Array }} the SQL that actually ran and its rows
+   */
+  async executeSafeQuery(sql) {
+    const guarded = guardSql(sql, { allowedTables: this.getQueryableTables(), maxRows: LLM.QUERY_ROW_LIMIT });
+
+    const transaction = await sequelize.transaction(READ_ONLY_TRANSACTION);
+    try {
+      // Session settings outlive the transaction, so restore the default before the connection goes back to the pool
+      await sequelize.query('SET SESSION max_execution_time = :ms', {
+        replacements: { ms: LLM.QUERY_TIMEOUT_MS },
+        transaction
+      });
+      const rows = await sequelize.query(guarded.sql, { type: sequelize.QueryTypes.SELECT, transaction });
+      return { sql: guarded.sql, rows };
+    } catch (error) {
+      if (error.original?.errno === ER_QUERY_TIMEOUT) {
+        throw new ValidationError('Query rejected by the SQL safety check', [
+          { code: 'timeout', message: `Query ran longer than ${LLM.QUERY_TIMEOUT_MS} ms` }
+        ]);
+      }
+      if (error.original?.errno === ER_READ_ONLY_TRANSACTION) {
+        throw new ValidationError('Query rejected by the SQL safety check', [
+          { code: 'read_only', message: 'Query tried to write to the database' }
+        ]);
+      }
+      throw new ValidationError('Query failed', [{ code: 'query_error', message: error.message }]);
+    } finally {
+      await sequelize.query('SET SESSION max_execution_time = DEFAULT', { transaction }).catch(() => {});
+      await transaction.rollback();
+    }
+  }
+
+  /**
+   * Answer the question from the rows the query returned, and nothing else
+   */
+  async summarize(question, sql, rows, { signal, onToken } = {}) {
+    const sample = rows.slice(0, LLM.SUMMARY_ROWS);
+    const note = rows.length > sample.length ? ` (first ${sample.length} of ${rows.length} shown)` : '';
+
+    return this.complete([
+      {
+        role: 'system',
+        content: `Answer the user's question in a few sentences using only the query results below.
+Do not add facts that are not in the results. If there are no rows, say that nothing matched.
+
+SQL: ${sql}
+Results${note}: ${JSON.stringify(sample)}`
+      },
+      { role: 'user', content: question }
+    ], { task: 'summary', context: { sql, rows }, signal, onToken });
+  }
+
+  /**
+   * Text-to-SQL: generate a query from the schema, run it read-only and summarize the rows.
+   * `onStep` receives { step, ... } as each stage finishes; `onToken` receives summary text deltas.
+   * @returns {{ mode: 'sql', query: string, sql: string, columns: string[], rows: Array, row_count: number, truncated: boolean, answer: string, model: string }}
+   */
+  async answerWithSql(question, history = [], { signal, onStep = () => {}, onToken } = {}) {
+    onStep({ step: 'generating_sql' });
+    const generated = await this.generateSql(question, history, { signal });
+    onStep({ step: 'generated_sql', sql: generated });
+
+    let sql;
+    let rows;
+    try {
+      signal?.throwIfAborted();
+      ({ sql, rows } = await this.executeSafeQuery(generated));
+    } catch (error) {
+      // Let the client see which query was rejected
+      error.sql = generated;
+      throw error;
+    }
+    onStep({ step: 'executed', sql, row_count: rows.length });
+
+    signal?.throwIfAborted();
+    const answer = await this.summarize(question, sql, rows, { signal, onToken });
+
+    return {
+      mode: 'sql',
+      query: question,
+      sql,
+      columns: rows.length > 0 ? Object.keys(rows[0]) : [],
+      rows: rows.slice(0, LLM.MAX_RESULT_ROWS),
+      row_count: rows.length,
+      truncated: rows.length > LLM.MAX_RESULT_ROWS,
+      answer,
+      provider: this.provider.name,
+      model: this.provider.model
+    };
+  }
+}
+
+module.exports = new LlmService();
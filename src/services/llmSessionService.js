@@ -0,0 +1,158 @@
+/**
+ * Service for Ask-the-Database conversation sessions
+ * Stores each question and answer, and replays recent turns to the model within a token budget
+ */
+
+const sequelize = require('../db/sequelize');
+const { LlmSession, LlmMessage } = require('../models');
+const { NotFoundError, DatabaseError } = require('../utils/errors');
+const { LLM } = require('../config/constants');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Rough token count; close enough for budgeting English text and SQL
+ */
+const estimateTokens = (text) => Math.ceil(text.length / LLM.CHARS_PER_TOKEN);
+
+/**
+ * What the model sees for a stored turn. SQL-mode answers carry their query so
+ * follow-ups ("and which of those...") can build on it. For SQL generation an answer
+ * is replayed as the bare query (row count in a comment), since the model copies the
+ * shape of earlier replies and must reply with SQL only.
+ */
+const toPromptMessage = (message, mode) => {
+  if (message.role === 'assistant' && message.sql) {
+    return mode === 'sql'
+      ? { role: 'assistant', content: `${message.sql}\n-- ${message.row_count} row(s)` }
+      : { role: 'assistant', content: `SQL: ${message.sql}\nRows: ${message.row_count}\n${message.content}` };
+  }
+  return { role: message.role, content: message.content };
+};
+
+class LlmSessionService {
+  /**
+   * Load a session or fail with a 404 (session IDs are UUIDs)
+   */
+  async findSession(id, options = {}) {
+    const session = UUID_PATTERN.test(id) ? await LlmSession.findByPk(id, options) : null;
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+    return session;
+  }
+
+  async createSession({ title = null } = {}) {
+    try {
+      return await LlmSession.create({ title: title ? String(title).slice(0, LLM.SESSION_TITLE_LENGTH) : null });
+    } catch (error) {
+      throw new DatabaseError('Failed to create Session');
+    }
+  }
+
+  /**
+   * Sessions with their message counts, most recently active first
+   */
+  async listSessions({ limit, offset }) {
+    try {
+      const { rows, count } = await LlmSession.findAndCountAll({
+        attributes: {
+          include: [[
+            sequelize.literal('(SELECT COUNT(*) FROM LLM_MESSAGES m WHERE m.session_id = LlmSession.session_id)'),
+            'message_count'
+          ]]
+        },
+        order: [['updated_at', 'DESC']],
+        limit,
+        offset
+      });
+      return { rows, total: count };
+    } catch (error) {
+      throw new DatabaseError('Failed to fetch Sessions');
+    }
+  }
+
+  /**
+   * A session with its full message history
+   */
+  async getSession(id) {
+    return this.findSession(id, {
+      include: [{ model: LlmMessage, as: 'messages' }],
+      order: [[{ model: LlmMessage, as: 'messages' }, 'message_id', 'ASC']]
+    });
+  }
+
+  async deleteSession(id) {
+    const session = await this.findSession(id);
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await LlmMessage.destroy({ where: { session_id: session.session_id }, transaction });
+        await session.destroy({ transaction });
+      });
+      return { message: 'Session deleted successfully' };
+    } catch (error) {
+      throw new DatabaseError('Failed to delete Session');
+    }
+  }
+
+  /**
+   * The most recent turns that fit in LLM.HISTORY_TOKEN_BUDGET, oldest first, as chat messages.
+   * Older turns stay stored; they are only left out of the prompt.
+   * In `sql` mode only SQL-mode turns are replayed, so every earlier answer is a query.
+   */
+  async getHistory(id, { mode = 'chat' } = {}) {
+    const session = await this.findSession(id);
+    const messages = await LlmMessage.findAll({
+      where: { session_id: session.session_id, ...(mode === 'sql' ? { mode: 'sql' } : {}) },
+      order: [['message_id', 'DESC']]
+    });
+
+    const history = [];
+    let tokens = 0;
+    for (const message of messages) {
+      const promptMessage = toPromptMessage(message, mode);
+      tokens += estimateTokens(promptMessage.content);
+      if (tokens > LLM.HISTORY_TOKEN_BUDGET) break;
+      history.unshift(promptMessage);
+    }
+
+    // Start on a question, never on an answer whose question was trimmed away
+    while (history.length > 0 && history[0].role !== 'user') {
+      history.shift();
+    }
+    return history;
+  }
+
+  /**
+   * Store a question and the answer to it, and mark the session active.
+   * Untitled sessions are named after their first question.
+   */
+  async recordTurn(id, question, result) {
+    const session = await this.findSession(id);
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await LlmMessage.bulkCreate([
+          { session_id: session.session_id, role: 'user', mode: result.mode, content: question },
+          {
+            session_id: session.session_id,
+            role: 'assistant',
+            mode: result.mode,
+            content: result.answer,
+            sql: result.sql || null,
+            row_count: result.row_count ?? null
+          }
+        ], { transaction });
+
+        session.updated_at = new Date();
+        if (!session.title) {
+          session.title = question.slice(0, LLM.SESSION_TITLE_LENGTH);
+        }
+        await session.save({ transaction });
+      });
+    } catch (error) {
+      throw new DatabaseError('Failed to save Session messages');
+    }
+  }
+}
+
+module.exports = new LlmSessionService();
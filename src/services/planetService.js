@@ -0,0 +1,143 @@
+/**
+ * Service for Planet-related operations
+ * Extends BaseService to inherit common CRUD operations
+ */
+
+const BaseService = require('./BaseService');
+const sequelize = require('../db/sequelize');
+const {
+  Planet, Species, Enemy, Companion, Actor, Episode, Season, EpisodeLocation
+} = require('../models');
+const { ConflictError, DatabaseError } = require('../utils/errors');
+const statsService = require('./statsService');
+
+class PlanetService extends BaseService {
+  constructor() {
+    super(Planet, 'Planet');
+    this.includablePaths = [
+      'species',
+      'enemies',
+      'companions',
+      'episodes'
+    ];
+  }
+
+  /**
+   * Get a page of planets (e.g. ?galaxy= filters by galaxy)
+   */
+  async getAllPlanets(query = {}) {
+    return this.getPaginated(query, { order: [['name', 'ASC']] });
+  }
+
+  /**
+   * Get a planet by ID
+   */
+  async getPlanetById(id, query = {}) {
+    return this.getById(id, this.projection(query));
+  }
+
+  /**
+   * Alias methods for consistency with existing code.
+   * Writes refresh the planet's stats row (name and galaxy are stored there).
+   */
+  async createPlanet(data) {
+    const planet = await this.create(data);
+    await statsService.refresh({ planet: [planet.planet_id] });
+    return planet;
+  }
+
+  async updatePlanet(id, data) {
+    const planet = await this.update(id, data);
+    await statsService.refresh({ planet: [planet.planet_id] });
+    return planet;
+  }
+
+  /**
+   * Delete a planet together with its episode locations.
+   * Species, enemies and companions from the planet must be reassigned first.
+   */
+  async deletePlanet(id) {
+    const planet = await this.getById(id);
+
+    const [speciesCount, enemyCount, companionCount] = await Promise.all([
+      Species.count({ where: { home_planet_id: id } }),
+      Enemy.count({ where: { home_planet_id: id } }),
+      Companion.count({ where: { home_planet_id: id } })
+    ]);
+    if (speciesCount + enemyCount + companionCount > 0) {
+      throw new ConflictError(
+        `Planet is still home to ${speciesCount} species, ${enemyCount} enemies and ${companionCount} companions`
+      );
+    }
+
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await EpisodeLocation.destroy({ where: { planet_id: id }, transaction });
+        await planet.destroy({ transaction });
+      });
+    } catch (error) {
+      throw new DatabaseError('Failed to delete Planet');
+    }
+
+    await statsService.refresh({ planet: [planet.planet_id] });
+    return { message: 'Planet deleted successfully' };
+  }
+
+  /**
+   * Get species native to a planet
+   */
+  async getPlanetSpecies(id) {
+    await this.getById(id);
+    return Species.findAll({ where: { home_planet_id: id }, order: [['name', 'ASC']] });
+  }
+
+  /**
+   * Get enemies originating from a planet
+   */
+  async getPlanetEnemies(id) {
+    await this.getById(id);
+    return Enemy.findAll({
+      where: { home_planet_id: id },
+      include: [{ model: Species, as: 'species' }],
+      order: [['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Get companions from a planet
+   */
+  async getPlanetCompanions(id) {
+    await this.getById(id);
+    return Companion.findAll({
+      where: { home_planet_id: id },
+      include: [{ model: Actor, as: 'actor' }],
+      order: [['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Get episodes set on a planet, ordered by visit order then air date
+   */
+  async getPlanetEpisodes(id) {
+    await this.getById(id);
+    const locations = await EpisodeLocation.findAll({
+      where: { planet_id: id },
+      include: [{
+        model: Episode,
+        as: 'episode',
+        include: [{ model: Season, as: 'season' }]
+      }],
+      order: [
+        ['visit_order', 'ASC'],
+        [{ model: Episode, as: 'episode' }, 'air_date', 'ASC']
+      ]
+    });
+
+    return locations.map(location => ({
+      ...location.episode.toJSON(),
+      visit_order: location.visit_order
+    }));
+  }
+}
+
+module.exports = new PlanetService();
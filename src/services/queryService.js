@@ -1,5 +1,6 @@
 const sequelize = require('../db/sequelize');
 const models = require('../models');
+const statsService = require('./statsService');
 const { Doctor, Episode, Companion, Enemy, Planet, EnemyEpisode, EpisodeLocation, DoctorCompanion } = models;
 
 class QueryService {
@@ -208,29 +209,31 @@ class QueryService {
     return result;
   }
 
-  // Query VIEW
-  async queryDoctorEpisodeSummary() {
+  // Query VIEW. doctor_episode_summary / enemy_appearance_summary are served from their materialized
+  // stats tables (same columns) so the GROUP_CONCAT aggregation doesn't run per request, unless the
+  // table has never been rebuilt or a refresh failed; then the VIEW itself is queried
+  async querySummary(type, view) {
+    if (await statsService.isCurrent(type)) {
+      return statsService.getStats(type, { exclude: ['refreshed_at'] });
+    }
+
     try {
-    const [results] = await sequelize.query('SELECT * FROM doctor_episode_summary');
+    const [results] = await sequelize.query(`SELECT * FROM ${view}`);
     return results;
     } catch (error) {
       if (error.message && error.message.includes("doesn't exist")) {
-        throw new Error('VIEW "doctor_episode_summary" does not exist. Please run: npm run db:objects');
+        throw new Error(`VIEW "${view}" does not exist. Please run: npm run db:objects`);
       }
       throw error;
     }
   }
 
+  async queryDoctorEpisodeSummary() {
+    return this.querySummary('doctor', 'doctor_episode_summary');
+  }
+
   async queryEnemyAppearanceSummary() {
-    try {
-    const [results] = await sequelize.query('SELECT * FROM enemy_appearance_summary');
-    return results;
-    } catch (error) {
-      if (error.message && error.message.includes("doesn't exist")) {
-        throw new Error('VIEW "enemy_appearance_summary" does not exist. Please run: npm run db:objects');
-      }
-      throw error;
-    }
+    return this.querySummary('enemy', 'enemy_appearance_summary');
   }
 
   // Call STORED PROCEDURE
@@ -279,6 +282,7 @@ class QueryService {
           type: sequelize.QueryTypes.UPDATE
         }
       );
+      await statsService.refresh({ enemy: [enemyId] });
 
       // Then return the updated record
       const results = await sequelize.query(
@@ -0,0 +1,220 @@
+/**
+ * Service for full-text search across episodes, characters, planets, species, enemies and writers
+ * Uses MySQL FULLTEXT indexes (created by sync-db.js) and falls back to an in-process index
+ */
+
+const sequelize = require('../db/sequelize');
+const { Episode, Character, Planet, Species, Enemy, Writer } = require('../models');
+const { SearchIndex, tokenize } = require('../utils/searchIndex');
+const { BadRequestError, DatabaseError } = require('../utils/errors');
+const { SEARCH } = require('../config/constants');
+
+// MySQL error raised when MATCH() has no FULLTEXT index over exactly those columns
+const FULLTEXT_MISSING_ERRNO = 1191;
+
+/**
+ * Escape text for safe inclusion in HTML
+ */
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+class SearchService {
+  constructor() {
+    // Searchable entities: table, key and label column, plus the columns covered by the FULLTEXT index
+    this.entities = {
+      episode: { model: Episode, table: 'EPISODES', key: 'episode_id', label: 'title', fields: ['title'] },
+      character: { model: Character, table: 'CHARACTER', key: 'character_id', label: 'name', fields: ['name', 'biography'] },
+      planet: { model: Planet, table: 'PLANETS', key: 'planet_id', label: 'name', fields: ['name', 'description'] },
+      species: { model: Species, table: 'SPECIES', key: 'species_id', label: 'name', fields: ['name'] },
+      enemy: { model: Enemy, table: 'ENEMIES', key: 'enemy_id', label: 'name', fields: ['name'] },
+      writer: { model: Writer, table: 'WRITERS', key: 'writer_id', label: 'name', fields: ['name', 'notable_works'] }
+    };
+    this.useFallback = process.env.SEARCH_MODE === 'memory';
+    this.memoryIndex = null;
+    this.memoryIndexBuiltAt = 0;
+  }
+
+  /**
+   * Search across entity types.
+   * @param {string} q - search text
+   * @param {Object} options - { types?: string[], limit, offset }
+   * @returns {{ rows: Array, total: number }}
+   */
+  async search(q, { types, limit, offset }) {
+    // A repeated ?q= arrives as an array
+    if (q !== undefined && typeof q !== 'string') {
+      throw new BadRequestError('Search query must be a single string');
+    }
+    const text = (q || '').trim();
+    if (text.length < SEARCH.MIN_QUERY_LENGTH) {
+      throw new BadRequestError(`Search query must be at least ${SEARCH.MIN_QUERY_LENGTH} characters`);
+    }
+
+    const selectedTypes = types && types.length > 0 ? types : Object.keys(this.entities);
+    const unknown = selectedTypes.filter(type => !this.entities[type]);
+    if (unknown.length > 0) {
+      throw new BadRequestError(
+        `Unknown search type(s): ${unknown.join(', ')}. Valid types: ${Object.keys(this.entities).join(', ')}`
+      );
+    }
+
+    if (!this.useFallback) {
+      try {
+        return await this.searchFullText(text, selectedTypes, limit, offset);
+      } catch (error) {
+        if (error.original?.errno !== FULLTEXT_MISSING_ERRNO) {
+          throw new DatabaseError('Search failed');
+        }
+        console.warn('[WARN] FULLTEXT indexes missing, using in-process search index. Run: npm run db:sync');
+        this.useFallback = true;
+      }
+    }
+
+    return this.searchMemory(text, selectedTypes, limit, offset);
+  }
+
+  /**
+   * Search with MySQL FULLTEXT indexes. Each type returns its best offset + limit rows,
+   * which is enough to build any page of the merged ranking.
+   */
+  async searchFullText(text, types, limit, offset) {
+    const perType = offset + limit;
+    const matches = [];
+    let total = 0;
+
+    for (const type of types) {
+      const { table, key, fields } = this.entities[type];
+      const columns = fields.map(field => `\`${field}\``).join(', ');
+      const match = `MATCH(${columns}) AGAINST (:text IN NATURAL LANGUAGE MODE)`;
+
+      const rows = await sequelize.query(`
+        SELECT \`${key}\`, ${columns}, ${match} AS score
+        FROM \`${table}\`
+        WHERE ${match}
+        ORDER BY score DESC
+        LIMIT ${perType}
+      `, {
+        replacements: { text },
+        type: sequelize.QueryTypes.SELECT
+      });
+
+      const [{ count }] = await sequelize.query(`
+        SELECT COUNT(*) AS count FROM \`${table}\` WHERE ${match}
+      `, {
+        replacements: { text },
+        type: sequelize.QueryTypes.SELECT
+      });
+
+      total += Number(count);
+      rows.forEach(row => matches.push({ type, row, score: Number(row.score) }));
+    }
+
+    matches.sort((a, b) => b.score - a.score);
+    return {
+      rows: matches.slice(offset, offset + limit).map(match => this.formatResult(match, text)),
+      total
+    };
+  }
+
+  /**
+   * Search with the in-process index, rebuilding it once it is older than SEARCH.INDEX_TTL_MS
+   */
+  async searchMemory(text, types, limit, offset) {
+    const index = await this.getMemoryIndex();
+    const matches = index.search(text, document => types.includes(document.type));
+
+    return {
+      rows: matches.slice(offset, offset + limit).map(({ document, score }) =>
+        this.formatResult({ type: document.type, row: document.row, score }, text)
+      ),
+      total: matches.length
+    };
+  }
+
+  /**
+   * Build (or reuse) the in-process index over every searchable entity
+   */
+  async getMemoryIndex() {
+    if (this.memoryIndex && Date.now() - this.memoryIndexBuiltAt < SEARCH.INDEX_TTL_MS) {
+      return this.memoryIndex;
+    }
+
+    const index = new SearchIndex();
+    try {
+      for (const [type, { model, key, label, fields }] of Object.entries(this.entities)) {
+        const rows = await model.findAll({ attributes: [key, ...fields], raw: true });
+        rows.forEach(row => {
+          const text = {};
+          fields.forEach(field => { text[field] = row[field]; });
+          index.add({ type, row }, text, label);
+        });
+      }
+    } catch (error) {
+      throw new DatabaseError('Failed to build search index');
+    }
+
+    this.memoryIndex = index;
+    this.memoryIndexBuiltAt = Date.now();
+    return index;
+  }
+
+  /**
+   * Shape a match into a typed, highlighted search result
+   */
+  formatResult({ type, row, score }, text) {
+    const { key, label, fields } = this.entities[type];
+    const terms = tokenize(text);
+
+    const highlights = {};
+    fields.forEach(field => {
+      const snippet = this.highlight(row[field], terms);
+      if (snippet) highlights[field] = snippet;
+    });
+
+    return {
+      type,
+      id: row[key],
+      title: row[label],
+      score: Math.round(score * 1000) / 1000,
+      highlights
+    };
+  }
+
+  /**
+   * Cut a snippet around the first matching term and wrap every match in <mark>.
+   * Terms match word prefixes so "dalek" highlights "Daleks".
+   */
+  highlight(value, terms) {
+    if (!value || terms.length === 0) return null;
+
+    const source = String(value);
+    const escapedTerms = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${escapedTerms.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+
+    const first = pattern.exec(source);
+    if (!first) return null;
+
+    const start = Math.max(0, first.index - SEARCH.SNIPPET_RADIUS);
+    const end = Math.min(source.length, first.index + first[0].length + SEARCH.SNIPPET_RADIUS);
+    const snippet = source.slice(start, end);
+
+    let output = '';
+    let cursor = 0;
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(snippet)) !== null) {
+      output += escapeHtml(snippet.slice(cursor, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+      cursor = match.index + match[0].length;
+    }
+    output += escapeHtml(snippet.slice(cursor));
+
+    return `${start > 0 ? '…' : ''}${output}${end < source.length ? '…' : ''}`;
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,108 @@
+/**
+ * Service for Season-related operations
+ * Extends BaseService to inherit common CRUD operations
+ */
+
+const BaseService = require('./BaseService');
+const { Season, Writer, Episode, Director } = require('../models');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const statsService = require('./statsService');
+
+class SeasonService extends BaseService {
+  constructor() {
+    super(Season, 'Season');
+    this.includablePaths = [
+      'showrunner',
+      'episodes'
+    ];
+    this.defaultIncludes = [
+      { model: Writer, as: 'showrunner' }
+    ];
+  }
+
+  /**
+   * Get a page of seasons with showrunner (e.g. ?series_number=&year= filters)
+   */
+  async getAllSeasons(query = {}) {
+    return this.getPaginated(query, {
+      include: this.defaultIncludes,
+      order: [['year', 'ASC'], ['series_number', 'ASC']]
+    });
+  }
+
+  /**
+   * Get a season by ID with showrunner
+   */
+  async getSeasonById(id, query = {}) {
+    return this.getById(id, this.projection(query, { include: this.defaultIncludes }));
+  }
+
+  /**
+   * Get a season by series number (and year, since classic and modern series numbering overlap)
+   */
+  async getSeasonBySeriesNumber(seriesNumber, year = undefined) {
+    const where = { series_number: seriesNumber };
+    if (year !== undefined) {
+      where.year = year;
+    }
+
+    const seasons = await this.getAll({ where, include: this.defaultIncludes, order: [['year', 'ASC']] });
+    if (seasons.length === 0) {
+      throw new NotFoundError(this.modelName);
+    }
+    return seasons;
+  }
+
+  /**
+   * Alias methods for consistency with existing code.
+   * Writes refresh the season's stats row (series number and year are stored there).
+   */
+  async createSeason(data) {
+    const season = await this.create(data);
+    await statsService.refresh({ season: [season.season_id] });
+    return season;
+  }
+
+  async updateSeason(id, data) {
+    const season = await this.update(id, data);
+    await statsService.refresh({ season: [season.season_id] });
+    return season;
+  }
+
+  /**
+   * Delete a season once it has no episodes left
+   */
+  async deleteSeason(id) {
+    await this.getById(id);
+
+    const episodeCount = await Episode.count({ where: { season_id: id } });
+    if (episodeCount > 0) {
+      throw new ConflictError(`Season still has ${episodeCount} episode(s); delete or move them first`);
+    }
+
+    const result = await this.delete(id);
+    await statsService.refresh({ season: [Number(id)] });
+    return result;
+  }
+
+  /**
+   * Get the episodes of a season, ordered by episode number
+   */
+  async getSeasonEpisodes(id) {
+    await this.getById(id);
+    return Episode.findAll({
+      where: { season_id: id },
+      include: [
+        { model: Writer, as: 'writer' },
+        { model: Director, as: 'director' }
+      ],
+      order: [
+        ['episode_number', 'ASC'],
+        ['air_date', 'ASC'],
+        ['episode_id', 'ASC']
+      ]
+    });
+  }
+}
+
+module.exports = new SeasonService();
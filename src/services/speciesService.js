@@ -0,0 +1,118 @@
+/**
+ * Service for Species-related operations
+ * Extends BaseService to inherit common CRUD operations
+ */
+
+const BaseService = require('./BaseService');
+const { Species, Planet, Companion, Enemy, Character, Actor } = require('../models');
+const { ConflictError } = require('../utils/errors');
+const statsService = require('./statsService');
+
+class SpeciesService extends BaseService {
+  constructor() {
+    super(Species, 'Species');
+    this.includablePaths = [
+      'homePlanet',
+      'companions',
+      'enemies',
+      'characters'
+    ];
+    this.defaultIncludes = [
+      { model: Planet, as: 'homePlanet' }
+    ];
+  }
+
+  /**
+   * Get a page of species (e.g. ?technology_level= filters)
+   */
+  async getAllSpecies(query = {}) {
+    return this.getPaginated(query, { include: this.defaultIncludes, order: [['name', 'ASC']] });
+  }
+
+  /**
+   * Get a species by ID with related data
+   */
+  async getSpeciesById(id, query = {}) {
+    return this.getById(id, this.projection(query, { include: this.defaultIncludes }));
+  }
+
+  /**
+   * Alias methods for consistency with existing code
+   */
+  async createSpecies(data) {
+    const species = await this.create(data);
+    await statsService.refresh({ planet: [species.home_planet_id].filter(Boolean) });
+    return species;
+  }
+
+  /**
+   * Enemy stats rows store the species name and planet stats count native species,
+   * so both are refreshed (for the old and new home planet)
+   */
+  async updateSpecies(id, data) {
+    const { home_planet_id: previousPlanetId } = await this.getById(id);
+    const species = await this.update(id, data);
+    const enemies = await Enemy.findAll({ attributes: ['enemy_id'], where: { species_id: species.species_id }, raw: true });
+    await statsService.refresh({
+      enemy: enemies.map(enemy => enemy.enemy_id),
+      planet: [previousPlanetId, species.home_planet_id].filter(Boolean)
+    });
+    return species;
+  }
+
+  /**
+   * Delete a species once no companion, enemy or character belongs to it
+   */
+  async deleteSpecies(id) {
+    const species = await this.getById(id);
+
+    const [companionCount, enemyCount, characterCount] = await Promise.all([
+      Companion.count({ where: { species_id: id } }),
+      Enemy.count({ where: { species_id: id } }),
+      Character.count({ where: { species_id: id } })
+    ]);
+    if (companionCount + enemyCount + characterCount > 0) {
+      throw new ConflictError(
+        `Species is still used by ${companionCount} companions, ${enemyCount} enemies and ${characterCount} characters`
+      );
+    }
+
+    const result = await this.delete(id);
+    await statsService.refresh({ planet: [species.home_planet_id].filter(Boolean) });
+    return result;
+  }
+
+  /**
+   * Get companions of a species
+   */
+  async getSpeciesCompanions(id) {
+    await this.getById(id);
+    return Companion.findAll({
+      where: { species_id: id },
+      include: [{ model: Actor, as: 'actor' }],
+      order: [['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Get enemies of a species
+   */
+  async getSpeciesEnemies(id) {
+    await this.getById(id);
+    return Enemy.findAll({
+      where: { species_id: id },
+      include: [{ model: Planet, as: 'homePlanet' }],
+      order: [['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Get characters of a species
+   */
+  async getSpeciesCharacters(id) {
+    await this.getById(id);
+    return Character.findAll({ where: { species_id: id }, order: [['name', 'ASC']] });
+  }
+}
+
+module.exports = new SpeciesService();
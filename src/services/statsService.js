@@ -0,0 +1,388 @@
+/**
+ * Service for the materialized statistics tables (DOCTOR_STATS, ENEMY_STATS, SEASON_STATS, PLANET_STATS)
+ * Services call it after writes to refresh only the affected rows; admins can force a full rebuild
+ */
+
+const sequelize = require('../db/sequelize');
+const { DoctorStats, EnemyStats, SeasonStats, PlanetStats, StatsRefresh } = require('../models');
+const { BadRequestError, DatabaseError } = require('../utils/errors');
+
+// Doctor-to-episode pairs, matching the doctor_episodes view in database_objects.sql.
+// Inlined so the stats tables don't depend on `npm run db:objects` having been run.
+const DOCTOR_EPISODES_SQL = `
+  SELECT c.doctor_id, ea.episode_id
+  FROM EPISODE_APPEARANCES ea
+  INNER JOIN \`CHARACTER\` c ON c.character_id = ea.character_id
+  WHERE c.doctor_id IS NOT NULL
+  UNION
+  SELECT d.doctor_id, e.episode_id
+  FROM DOCTOR d
+  INNER JOIN EPISODES f ON f.episode_id = d.first_episode_id
+  INNER JOIN EPISODES l ON l.episode_id = d.last_episode_id
+  INNER JOIN EPISODES e ON e.air_date BETWEEN f.air_date AND l.air_date
+`;
+
+/**
+ * Materialized tables: the model, the source table they summarize and the aggregation.
+ * `sql(where)` receives an optional "WHERE <alias>.<key> IN (:ids)" clause.
+ */
+const STATS_TABLES = {
+  doctor: {
+    model: DoctorStats,
+    key: 'doctor_id',
+    source: 'DOCTOR',
+    alias: 'd',
+    order: [['incarnation_number', 'ASC']],
+    counts: ['total_episodes', 'total_companions', 'total_enemies'],
+    sql: (where) => `
+      SELECT
+        d.doctor_id,
+        d.incarnation_number,
+        a.name AS actor_name,
+        d.catchphrase,
+        COUNT(DISTINCT de.episode_id) AS total_episodes,
+        (SELECT COUNT(DISTINCT dc.companion_id) FROM DOCTOR_COMPANIONS dc WHERE dc.doctor_id = d.doctor_id) AS total_companions,
+        COUNT(DISTINCT ee.enemy_id) AS total_enemies,
+        MIN(e.air_date) AS first_episode_date,
+        MAX(e.air_date) AS last_episode_date
+      FROM DOCTOR d
+      LEFT JOIN ACTORS a ON d.actor_id = a.actor_id
+      LEFT JOIN (${DOCTOR_EPISODES_SQL}) de ON de.doctor_id = d.doctor_id
+      LEFT JOIN EPISODES e ON e.episode_id = de.episode_id
+      LEFT JOIN ENEMY_EPISODES ee ON ee.episode_id = de.episode_id
+      ${where}
+      GROUP BY d.doctor_id, d.incarnation_number, a.name, d.catchphrase
+    `
+  },
+  enemy: {
+    model: EnemyStats,
+    key: 'enemy_id',
+    source: 'ENEMIES',
+    alias: 'en',
+    order: [['episode_count', 'DESC'], ['enemy_name', 'ASC']],
+    counts: ['episode_count'],
+    sql: (where) => `
+      SELECT
+        en.enemy_id,
+        en.name AS enemy_name,
+        en.threat_level,
+        s.name AS species_name,
+        p.name AS home_planet,
+        COUNT(DISTINCT ee.episode_id) AS episode_count,
+        GROUP_CONCAT(DISTINCT e.title ORDER BY e.air_date SEPARATOR ', ') AS episodes
+      FROM ENEMIES en
+      LEFT JOIN SPECIES s ON en.species_id = s.species_id
+      LEFT JOIN PLANETS p ON en.home_planet_id = p.planet_id
+      LEFT JOIN ENEMY_EPISODES ee ON en.enemy_id = ee.enemy_id
+      LEFT JOIN EPISODES e ON ee.episode_id = e.episode_id
+      ${where}
+      GROUP BY en.enemy_id, en.name, en.threat_level, s.name, p.name
+    `
+  },
+  season: {
+    model: SeasonStats,
+    key: 'season_id',
+    source: 'SEASONS',
+    alias: 's',
+    order: [['series_number', 'ASC']],
+    counts: ['episode_count', 'total_runtime_minutes', 'enemy_count', 'planet_count'],
+    sql: (where) => `
+      SELECT
+        s.season_id,
+        s.series_number,
+        s.year,
+        COUNT(e.episode_id) AS episode_count,
+        COALESCE(SUM(e.runtime_minutes), 0) AS total_runtime_minutes,
+        (SELECT COUNT(DISTINCT ee.enemy_id)
+          FROM ENEMY_EPISODES ee
+          INNER JOIN EPISODES se ON se.episode_id = ee.episode_id
+          WHERE se.season_id = s.season_id) AS enemy_count,
+        (SELECT COUNT(DISTINCT el.planet_id)
+          FROM EPISODE_LOCATIONS el
+          INNER JOIN EPISODES se ON se.episode_id = el.episode_id
+          WHERE se.season_id = s.season_id) AS planet_count,
+        MIN(e.air_date) AS first_air_date,
+        MAX(e.air_date) AS last_air_date
+      FROM SEASONS s
+      LEFT JOIN EPISODES e ON e.season_id = s.season_id
+      ${where}
+      GROUP BY s.season_id, s.series_number, s.year
+    `
+  },
+  planet: {
+    model: PlanetStats,
+    key: 'planet_id',
+    source: 'PLANETS',
+    alias: 'p',
+    order: [['episode_count', 'DESC'], ['name', 'ASC']],
+    counts: ['episode_count', 'species_count', 'enemy_count', 'companion_count'],
+    sql: (where) => `
+      SELECT
+        p.planet_id,
+        p.name,
+        p.galaxy,
+        COUNT(DISTINCT el.episode_id) AS episode_count,
+        (SELECT COUNT(*) FROM SPECIES sp WHERE sp.home_planet_id = p.planet_id) AS species_count,
+        (SELECT COUNT(*) FROM ENEMIES en WHERE en.home_planet_id = p.planet_id) AS enemy_count,
+        (SELECT COUNT(*) FROM COMPANIONS c WHERE c.home_planet_id = p.planet_id) AS companion_count,
+        MIN(e.air_date) AS first_visit_date,
+        MAX(e.air_date) AS last_visit_date
+      FROM PLANETS p
+      LEFT JOIN EPISODE_LOCATIONS el ON el.planet_id = p.planet_id
+      LEFT JOIN EPISODES e ON e.episode_id = el.episode_id
+      ${where}
+      GROUP BY p.planet_id, p.name, p.galaxy
+    `
+  }
+};
+
+class StatsService {
+  constructor() {
+    this.tables = STATS_TABLES;
+  }
+
+  /**
+   * Resolve a comma-separated list of table types (all tables when omitted)
+   */
+  parseTypes(value) {
+    if (value === undefined || value === '') return Object.keys(STATS_TABLES);
+
+    const types = String(value).split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = types.filter(type => !STATS_TABLES[type]);
+    if (unknown.length > 0) {
+      throw new BadRequestError(
+        `Unknown stats table(s): ${unknown.join(', ')}. Valid tables: ${Object.keys(STATS_TABLES).join(', ')}`
+      );
+    }
+    return types;
+  }
+
+  /**
+   * Run a table's aggregation, for every entity or only the given IDs
+   */
+  async compute(type, ids = null) {
+    const { alias, key, sql, counts } = STATS_TABLES[type];
+    const where = ids ? `WHERE ${alias}.${key} IN (:ids)` : '';
+    const rows = await sequelize.query(sql(where), {
+      replacements: ids ? { ids } : {},
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    // MySQL returns SUM() as a DECIMAL string
+    return rows.map(row => {
+      counts.forEach(column => { row[column] = Number(row[column]); });
+      return row;
+    });
+  }
+
+  /**
+   * Recompute rows for the given IDs (or the whole table) and replace them.
+   * Rows for IDs that no longer exist in the source table are removed.
+   */
+  async refreshTable(type, ids = null) {
+    const { model, key } = STATS_TABLES[type];
+    if (ids && ids.length === 0) return 0;
+
+    const rows = await this.compute(type, ids);
+    const now = new Date();
+
+    await sequelize.transaction(async (transaction) => {
+      await model.destroy({ where: ids ? { [key]: ids } : {}, transaction });
+      await model.bulkCreate(rows.map(row => ({ ...row, refreshed_at: now })), { transaction });
+
+      const record = { table_name: model.tableName, last_refresh_at: now };
+      if (!ids) {
+        Object.assign(record, { last_full_rebuild_at: now, dirty_since: null, last_error: null });
+      }
+      await StatsRefresh.upsert(record, { transaction });
+    });
+
+    return rows.length;
+  }
+
+  /**
+   * Rebuild whole tables from scratch, one transaction per table.
+   * Tables rebuilt before a failure stay rebuilt; the failing one is marked stale with its error.
+   * @param {string[]} types - table types, all when omitted
+   * @returns {Array<{ table: string, rows: number, duration_ms: number }>}
+   */
+  async rebuild(types = Object.keys(STATS_TABLES)) {
+    const report = [];
+    for (const type of types) {
+      const { tableName } = STATS_TABLES[type].model;
+      const started = Date.now();
+      try {
+        const rows = await this.refreshTable(type);
+        report.push({ table: tableName, rows, duration_ms: Date.now() - started });
+      } catch (error) {
+        await this.markDirty([type], error);
+        const rebuilt = report.map(entry => entry.table);
+        throw new DatabaseError(
+          `Failed to rebuild ${tableName}: ${error.message}` + (rebuilt.length > 0 ? ` (already rebuilt: ${rebuilt.join(', ')})` : '')
+        );
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Refresh specific rows, e.g. { doctor: [10], season: [27, 28] }.
+   * Never throws: a write has already succeeded, so a failed refresh only marks the tables stale.
+   */
+  async refresh(keys) {
+    const types = Object.keys(keys).filter(type => STATS_TABLES[type] && keys[type].length > 0);
+    try {
+      for (const type of types) {
+        await this.refreshTable(type, Array.from(new Set(keys[type])));
+      }
+    } catch (error) {
+      await this.markDirty(types, error);
+    }
+  }
+
+  /**
+   * Which stats rows depend on the given episodes. Returns null when the lookup fails
+   * (the tables are then marked stale).
+   */
+  async keysForEpisodes(episodeIds) {
+    const select = (sql) => sequelize.query(sql, {
+      replacements: { ids: episodeIds },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    try {
+      const seasons = await select('SELECT DISTINCT season_id FROM EPISODES WHERE episode_id IN (:ids)');
+      const enemies = await select('SELECT DISTINCT enemy_id FROM ENEMY_EPISODES WHERE episode_id IN (:ids)');
+      const planets = await select('SELECT DISTINCT planet_id FROM EPISODE_LOCATIONS WHERE episode_id IN (:ids)');
+      // A Doctor's whole era moves when one of its bounding episodes changes
+      const doctors = await select(`
+        SELECT de.doctor_id FROM (${DOCTOR_EPISODES_SQL}) de WHERE de.episode_id IN (:ids)
+        UNION
+        SELECT doctor_id FROM DOCTOR WHERE first_episode_id IN (:ids) OR last_episode_id IN (:ids)
+      `);
+
+      return {
+        season: seasons.map(row => row.season_id).filter(id => id !== null),
+        enemy: enemies.map(row => row.enemy_id),
+        planet: planets.map(row => row.planet_id),
+        doctor: doctors.map(row => row.doctor_id)
+      };
+    } catch (error) {
+      await this.markDirty(Object.keys(STATS_TABLES), error);
+      return null;
+    }
+  }
+
+  /**
+   * Refresh everything that depends on the given episodes after a write.
+   * `before` holds keys captured before the write (an update can move an episode
+   * to another season or era; a delete leaves nothing to look up afterwards).
+   */
+  async refreshEpisodes(episodeIds, before = {}, extra = {}) {
+    const after = await this.keysForEpisodes(episodeIds);
+    if (!after || before === null) return;
+
+    const keys = {};
+    Object.keys(STATS_TABLES).forEach(type => {
+      keys[type] = [...(before[type] || []), ...(after[type] || []), ...(extra[type] || [])];
+    });
+    await this.refresh(keys);
+  }
+
+  /**
+   * Flag tables whose incremental refresh failed
+   */
+  async markDirty(types, error) {
+    console.warn(`[WARN] Stats refresh failed (${types.join(', ')}): ${error.message}. Run a rebuild via POST /api/admin/stats/rebuild`);
+    try {
+      const now = new Date();
+      for (const type of types) {
+        const [record] = await StatsRefresh.findOrCreate({ where: { table_name: STATS_TABLES[type].model.tableName } });
+        if (!record.dirty_since) record.dirty_since = now;
+        record.last_error = String(error.message).slice(0, 500);
+        await record.save();
+      }
+    } catch (markError) {
+      console.warn(`[WARN] Could not record stats staleness: ${markError.message}`);
+    }
+  }
+
+  /**
+   * Staleness report: row counts, entities without a stats row, rows for deleted entities,
+   * refresh times and failed refreshes per table
+   */
+  async getStatus() {
+    try {
+      const records = await StatsRefresh.findAll();
+      const byTable = new Map(records.map(record => [record.table_name, record]));
+      const now = Date.now();
+
+      const tables = [];
+      for (const { model, key, source } of Object.values(STATS_TABLES)) {
+        const [{ missing }] = await sequelize.query(`
+          SELECT COUNT(*) AS missing
+          FROM ${source} src
+          LEFT JOIN ${model.tableName} st ON st.${key} = src.${key}
+          WHERE st.${key} IS NULL
+        `, { type: sequelize.QueryTypes.SELECT });
+
+        const [{ orphaned }] = await sequelize.query(`
+          SELECT COUNT(*) AS orphaned
+          FROM ${model.tableName} st
+          LEFT JOIN ${source} src ON src.${key} = st.${key}
+          WHERE src.${key} IS NULL
+        `, { type: sequelize.QueryTypes.SELECT });
+
+        const oldest = await model.min('refreshed_at');
+        const record = byTable.get(model.tableName);
+        const status = {
+          table: model.tableName,
+          rows: await model.count(),
+          missing_rows: Number(missing),
+          orphaned_rows: Number(orphaned),
+          last_full_rebuild_at: record?.last_full_rebuild_at || null,
+          last_refresh_at: record?.last_refresh_at || null,
+          oldest_row_refreshed_at: oldest || null,
+          oldest_row_age_seconds: oldest ? Math.round((now - new Date(oldest).getTime()) / 1000) : null,
+          dirty_since: record?.dirty_since || null,
+          last_error: record?.last_error || null
+        };
+        status.stale = !status.last_full_rebuild_at || Boolean(status.dirty_since) ||
+          status.missing_rows > 0 || status.orphaned_rows > 0;
+        tables.push(status);
+      }
+
+      return { stale: tables.some(table => table.stale), tables };
+    } catch (error) {
+      throw new DatabaseError('Failed to read stats status');
+    }
+  }
+
+  /**
+   * Whether a table can be served as is: fully rebuilt at least once and no failed refresh since.
+   * Answers false when the bookkeeping can't be read, so callers fall back to the live query.
+   */
+  async isCurrent(type) {
+    try {
+      const record = await StatsRefresh.findByPk(STATS_TABLES[type].model.tableName);
+      return Boolean(record?.last_full_rebuild_at) && !record.dirty_since;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Read a materialized table
+   * @param {{ exclude?: string[] }} options - columns to leave out
+   */
+  async getStats(type, { exclude = [] } = {}) {
+    const { model, order } = STATS_TABLES[type];
+    try {
+      return await model.findAll({ attributes: { exclude }, order });
+    } catch (error) {
+      throw new DatabaseError(`Failed to read ${model.tableName}`);
+    }
+  }
+}
+
+module.exports = new StatsService();
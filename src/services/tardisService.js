@@ -0,0 +1,217 @@
+/**
+ * Service for TARDIS-related operations
+ * Extends BaseService to inherit common CRUD operations
+ */
+
+const BaseService = require('./BaseService');
+const sequelize = require('../db/sequelize');
+const { Tardis, TardisOwnership, Doctor, Actor, Episode } = require('../models');
+const { NotFoundError, BadRequestError, DatabaseError } = require('../utils/errors');
+
+class TardisService extends BaseService {
+  constructor() {
+    super(Tardis, 'TARDIS');
+    this.includablePaths = [
+      'owner.actor',
+      'ownerships.doctor'
+    ];
+    this.defaultIncludes = [
+      {
+        model: Doctor,
+        as: 'owner',
+        include: [{ model: Actor, as: 'actor' }]
+      }
+    ];
+    this.historyIncludes = [
+      {
+        model: Doctor,
+        as: 'doctor',
+        include: [{ model: Actor, as: 'actor' }]
+      },
+      { model: Episode, as: 'startEpisode' },
+      { model: Episode, as: 'endEpisode' }
+    ];
+  }
+
+  /**
+   * Get a page of TARDISes with their current owner
+   */
+  async getAllTardis(query = {}) {
+    return this.getPaginated(query, { include: this.defaultIncludes });
+  }
+
+  /**
+   * Get a TARDIS by ID with its current owner
+   */
+  async getTardisById(id, query = {}) {
+    return this.getById(id, this.projection(query, { include: this.defaultIncludes }));
+  }
+
+  /**
+   * Create a TARDIS and open its first ownership record.
+   * start_episode_id is optional and only used for the ownership history.
+   */
+  async createTardis(data) {
+    const { start_episode_id = null, ...tardisData } = data;
+    await this.findDoctor(tardisData.owner_doctor_id);
+    if (start_episode_id !== null) {
+      await this.findEpisode(start_episode_id);
+    }
+
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        const tardis = await Tardis.create(tardisData, { transaction });
+        await TardisOwnership.create({
+          tardis_id: tardis.tardis_id,
+          doctor_id: tardis.owner_doctor_id,
+          start_episode_id
+        }, { transaction });
+        return tardis;
+      });
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError') throw error;
+      throw new DatabaseError('Failed to create TARDIS');
+    }
+  }
+
+  /**
+   * Update a TARDIS. Ownership changes go through transferOwnership so history stays intact.
+   */
+  async updateTardis(id, data) {
+    if (data.owner_doctor_id !== undefined) {
+      throw new BadRequestError('Use POST /api/tardis/:id/transfer to change the owner');
+    }
+    return this.update(id, data);
+  }
+
+  /**
+   * Delete a TARDIS together with its ownership history
+   */
+  async deleteTardis(id) {
+    const tardis = await this.getById(id);
+    try {
+      await sequelize.transaction(async (transaction) => {
+        await TardisOwnership.destroy({ where: { tardis_id: id }, transaction });
+        await tardis.destroy({ transaction });
+      });
+      return { message: 'TARDIS deleted successfully' };
+    } catch (error) {
+      throw new DatabaseError('Failed to delete TARDIS');
+    }
+  }
+
+  /**
+   * Transfer a TARDIS to another Doctor from a given episode.
+   * The current owner's open record is closed at previous_end_episode_id (defaults to start_episode_id).
+   */
+  async transferOwnership(id, { doctor_id, start_episode_id, previous_end_episode_id = null }) {
+    const tardis = await this.getById(id);
+    await this.findDoctor(doctor_id);
+
+    if (tardis.owner_doctor_id === doctor_id) {
+      throw new BadRequestError('The Doctor already owns this TARDIS');
+    }
+
+    const episodeIds = [start_episode_id, previous_end_episode_id].filter(Boolean);
+    const episodeCount = await Episode.count({ where: { episode_id: episodeIds } });
+    if (episodeCount !== new Set(episodeIds).size) {
+      throw new NotFoundError('Episode');
+    }
+
+    const handoverEpisodeId = previous_end_episode_id || start_episode_id;
+
+    await sequelize.transaction(async (transaction) => {
+      const openRecord = await TardisOwnership.findOne({
+        where: { tardis_id: id, end_episode_id: null },
+        order: [['ownership_id', 'DESC']],
+        transaction
+      });
+
+      if (openRecord) {
+        await openRecord.update({ end_episode_id: handoverEpisodeId }, { transaction });
+      } else {
+        // TARDISes seeded before history was tracked have no record for their current owner
+        await TardisOwnership.create({
+          tardis_id: id,
+          doctor_id: tardis.owner_doctor_id,
+          start_episode_id: null,
+          end_episode_id: handoverEpisodeId
+        }, { transaction });
+      }
+
+      await TardisOwnership.create({
+        tardis_id: id,
+        doctor_id,
+        start_episode_id
+      }, { transaction });
+
+      await tardis.update({ owner_doctor_id: doctor_id }, { transaction });
+    });
+
+    return this.getOwnershipHistory(id);
+  }
+
+  /**
+   * Get the ownership history of a TARDIS, oldest first
+   */
+  async getOwnershipHistory(id) {
+    const tardis = await this.getTardisById(id);
+    const history = await TardisOwnership.findAll({
+      where: { tardis_id: id },
+      include: this.historyIncludes,
+      order: [['ownership_id', 'ASC']]
+    });
+
+    return { tardis, history };
+  }
+
+  /**
+   * Find who owned a TARDIS when a given episode aired
+   */
+  async getOwnerAtEpisode(id, episodeId) {
+    const episode = await this.findEpisode(episodeId);
+    if (!episode.air_date) {
+      throw new BadRequestError('Episode has no air date to compare against');
+    }
+
+    const { history } = await this.getOwnershipHistory(id);
+
+    // DATEONLY values are YYYY-MM-DD strings; a missing bound means "open-ended".
+    // Search newest first so the handover episode resolves to the incoming owner.
+    const record = [...history].reverse().find(entry => {
+      const start = entry.startEpisode?.air_date;
+      const end = entry.endEpisode?.air_date;
+      return (!start || start <= episode.air_date) && (!end || end >= episode.air_date);
+    });
+
+    if (!record) {
+      throw new NotFoundError('Owner for that episode');
+    }
+
+    return { episode, ownership: record };
+  }
+
+  /**
+   * Load a Doctor or fail with a 404
+   */
+  async findDoctor(doctorId) {
+    const doctor = await Doctor.findByPk(doctorId);
+    if (!doctor) {
+      throw new NotFoundError('Doctor');
+    }
+    return doctor;
+  }
+
+  /**
+   * Load an episode or fail with a 404
+   */
+  async findEpisode(episodeId) {
+    const episode = await Episode.findByPk(episodeId);
+    if (!episode) {
+      throw new NotFoundError('Episode');
+    }
+    return episode;
+  }
+}
+
+module.exports = new TardisService();
@@ -0,0 +1,332 @@
+/**
+ * Service for era timelines derived from first/last episode references
+ * Builds the Doctor regeneration chain and companion tenures, and reports gaps, overlaps and bad data
+ */
+
+const { Op } = require('sequelize');
+const { Doctor, Actor, Episode, Companion, DoctorCompanion } = require('../models');
+const { DatabaseError, NotFoundError, BadRequestError } = require('../utils/errors');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Stand-in end date for tenures with no end episode (still travelling)
+const OPEN_END = '9999-12-31';
+
+/**
+ * Whole days from one YYYY-MM-DD date to another (negative when `to` is earlier)
+ */
+const daysBetween = (from, to) => {
+  return Math.round((Date.parse(to) - Date.parse(from)) / MS_PER_DAY);
+};
+
+/**
+ * Index of the first date in a sorted list that is >= date (or > date when `after` is set)
+ */
+const lowerBound = (dates, date, after = false) => {
+  let low = 0;
+  let high = dates.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (dates[mid] < date || (after && dates[mid] === date)) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+/**
+ * Slim episode reference for timeline entries
+ */
+const episodeRef = (episode) => {
+  if (!episode) return null;
+  return { episode_id: episode.episode_id, title: episode.title, air_date: episode.air_date };
+};
+
+/**
+ * Whether two dated tenures share at least one day; open-ended tenures run forever
+ */
+const tenuresOverlap = (a, b) => {
+  return a.start <= (b.end || OPEN_END) && b.start <= (a.end || OPEN_END);
+};
+
+class TimelineService {
+  /**
+   * Sorted air dates of every dated episode, used to count episodes inside an era
+   */
+  async getAirDates() {
+    const episodes = await Episode.findAll({
+      attributes: ['air_date'],
+      where: { air_date: { [Op.ne]: null } },
+      order: [['air_date', 'ASC']],
+      raw: true
+    });
+    return episodes.map(episode => episode.air_date);
+  }
+
+  /**
+   * Check one incarnation's episode references and return its issues
+   */
+  getDoctorIssues(doctor) {
+    const issues = [];
+    const { firstEpisode, lastEpisode } = doctor;
+
+    if (!doctor.first_episode_id) {
+      issues.push({ code: 'missing_first_episode', message: 'No first episode recorded' });
+    } else if (!firstEpisode) {
+      issues.push({ code: 'unknown_first_episode', message: `First episode ${doctor.first_episode_id} does not exist` });
+    } else if (!firstEpisode.air_date) {
+      issues.push({ code: 'undated_first_episode', message: `First episode "${firstEpisode.title}" has no air date` });
+    }
+
+    if (!doctor.last_episode_id) {
+      issues.push({ code: 'missing_last_episode', message: 'No last episode recorded' });
+    } else if (!lastEpisode) {
+      issues.push({ code: 'unknown_last_episode', message: `Last episode ${doctor.last_episode_id} does not exist` });
+    } else if (!lastEpisode.air_date) {
+      issues.push({ code: 'undated_last_episode', message: `Last episode "${lastEpisode.title}" has no air date` });
+    }
+
+    if (firstEpisode?.air_date && lastEpisode?.air_date && lastEpisode.air_date < firstEpisode.air_date) {
+      issues.push({
+        code: 'last_before_first',
+        message: `Last episode aired ${lastEpisode.air_date}, before first episode on ${firstEpisode.air_date}`
+      });
+    }
+
+    if (!doctor.actor) {
+      issues.push({ code: 'missing_actor', message: 'No actor recorded' });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Get the Doctor regeneration chain ordered by incarnation number.
+   * Each incarnation carries its actor, era (first to last episode air date), episode count and issues;
+   * transitions between consecutive incarnations are classified as handover, gap or overlap.
+   */
+  async getDoctorTimeline() {
+    let doctors;
+    let airDates;
+    try {
+      doctors = await Doctor.findAll({
+        include: [
+          { model: Actor, as: 'actor', attributes: ['actor_id', 'name'] },
+          { model: Episode, as: 'firstEpisode', attributes: ['episode_id', 'title', 'air_date'] },
+          { model: Episode, as: 'lastEpisode', attributes: ['episode_id', 'title', 'air_date'] }
+        ],
+        order: [['incarnation_number', 'ASC'], ['doctor_id', 'ASC']]
+      });
+      airDates = await this.getAirDates();
+    } catch (error) {
+      throw new DatabaseError('Failed to build Doctor timeline');
+    }
+
+    const incarnations = doctors.map(doctor => {
+      const start = doctor.firstEpisode?.air_date || null;
+      const end = doctor.lastEpisode?.air_date || null;
+      const issues = this.getDoctorIssues(doctor);
+      const validEra = start && end && start <= end;
+
+      return {
+        doctor_id: doctor.doctor_id,
+        incarnation_number: doctor.incarnation_number,
+        actor: doctor.actor ? { actor_id: doctor.actor.actor_id, name: doctor.actor.name } : null,
+        first_episode: episodeRef(doctor.firstEpisode),
+        last_episode: episodeRef(doctor.lastEpisode),
+        era: {
+          start,
+          end,
+          days: validEra ? daysBetween(start, end) : null
+        },
+        // Episodes aired within the era, counting the first and last episodes themselves
+        episode_count: validEra ? lowerBound(airDates, end, true) - lowerBound(airDates, start) : null,
+        issues
+      };
+    });
+
+    const transitions = [];
+    for (let i = 1; i < incarnations.length; i++) {
+      const previous = incarnations[i - 1];
+      const next = incarnations[i];
+      const transition = {
+        from: { doctor_id: previous.doctor_id, incarnation_number: previous.incarnation_number },
+        to: { doctor_id: next.doctor_id, incarnation_number: next.incarnation_number },
+        kind: null,
+        gap_days: null
+      };
+
+      if (next.incarnation_number - previous.incarnation_number > 1) {
+        next.issues.push({
+          code: 'incarnation_gap',
+          message: `No incarnation recorded between #${previous.incarnation_number} and #${next.incarnation_number}`
+        });
+      }
+
+      if (previous.era.end && next.era.start) {
+        transition.gap_days = daysBetween(previous.era.end, next.era.start);
+        // A shared regeneration episode, or an era starting the day the previous one ends, is a clean handover
+        if (previous.last_episode.episode_id === next.first_episode.episode_id || transition.gap_days === 0) {
+          transition.kind = 'handover';
+        } else if (transition.gap_days > 0) {
+          transition.kind = 'gap';
+        } else {
+          transition.kind = 'overlap';
+          next.issues.push({
+            code: 'era_overlap',
+            message: `Era starts ${next.era.start}, before Doctor #${previous.incarnation_number}'s era ends on ${previous.era.end}`
+          });
+        }
+      }
+
+      transitions.push(transition);
+    }
+
+    return {
+      total_incarnations: incarnations.length,
+      issue_count: incarnations.reduce((sum, incarnation) => sum + incarnation.issues.length, 0),
+      incarnations,
+      transitions
+    };
+  }
+
+  /**
+   * Resolve every Doctor/companion pairing to an air-date range.
+   * A missing end episode means the companion is still aboard.
+   */
+  async getCompanionTenures() {
+    let rows;
+    try {
+      rows = await DoctorCompanion.findAll({
+        include: [
+          { model: Doctor, as: 'doctor', attributes: ['doctor_id', 'incarnation_number'] },
+          { model: Companion, as: 'companion', attributes: ['companion_id', 'name'] },
+          { model: Episode, as: 'startEpisode', attributes: ['episode_id', 'title', 'air_date'] },
+          { model: Episode, as: 'endEpisode', attributes: ['episode_id', 'title', 'air_date'] }
+        ]
+      });
+    } catch (error) {
+      throw new DatabaseError('Failed to load companion tenures');
+    }
+
+    const tenures = rows.map(row => {
+      const start = row.startEpisode?.air_date || null;
+      const end = row.endEpisode?.air_date || null;
+      const issues = [];
+
+      if (!start) {
+        issues.push({ code: 'undated_start_episode', message: 'Start episode is missing or has no air date' });
+      }
+      if (row.end_episode_id && !end) {
+        issues.push({ code: 'undated_end_episode', message: 'End episode is missing or has no air date' });
+      }
+      if (start && end && end < start) {
+        issues.push({ code: 'end_before_start', message: `Tenure ends ${end}, before it starts on ${start}` });
+      }
+
+      return {
+        companion: row.companion ? { companion_id: row.companion.companion_id, name: row.companion.name } : null,
+        doctor: row.doctor ? { doctor_id: row.doctor.doctor_id, incarnation_number: row.doctor.incarnation_number } : null,
+        start_episode: episodeRef(row.startEpisode),
+        end_episode: episodeRef(row.endEpisode),
+        start,
+        end,
+        ongoing: !row.end_episode_id,
+        issues
+      };
+    });
+
+    // Undated tenures sort last; ties broken by Doctor then companion for a stable order
+    return tenures.sort((a, b) =>
+      (a.start || OPEN_END).localeCompare(b.start || OPEN_END) ||
+      (a.doctor?.incarnation_number || 0) - (b.doctor?.incarnation_number || 0) ||
+      (a.companion?.companion_id || 0) - (b.companion?.companion_id || 0)
+    );
+  }
+
+  /**
+   * Get companion tenures in air-date order, with companions who travelled together
+   * (overlapping tenures with the same Doctor) and companions who travelled with more than one Doctor
+   */
+  async getCompanionTimeline() {
+    const tenures = await this.getCompanionTenures();
+    // Only tenures with a usable date range take part in overlap detection
+    const dated = tenures.filter(tenure => tenure.issues.length === 0);
+
+    const overlaps = [];
+    for (let i = 0; i < dated.length; i++) {
+      for (let j = i + 1; j < dated.length; j++) {
+        const a = dated[i];
+        const b = dated[j];
+        if (a.doctor?.doctor_id !== b.doctor?.doctor_id) continue;
+        if (a.companion?.companion_id === b.companion?.companion_id) continue;
+        if (!tenuresOverlap(a, b)) continue;
+
+        const from = a.start > b.start ? a.start : b.start;
+        const ends = [a.end, b.end].filter(Boolean);
+        overlaps.push({
+          doctor: a.doctor,
+          companions: [a.companion, b.companion],
+          from,
+          // null while both companions are still aboard
+          to: ends.length > 0 ? ends.sort()[0] : null
+        });
+      }
+    }
+
+    const doctorsByCompanion = new Map();
+    tenures.forEach(tenure => {
+      if (!tenure.companion || !tenure.doctor) return;
+      const id = tenure.companion.companion_id;
+      if (!doctorsByCompanion.has(id)) {
+        doctorsByCompanion.set(id, { companion: tenure.companion, doctors: new Map() });
+      }
+      const entry = doctorsByCompanion.get(id);
+      if (!entry.doctors.has(tenure.doctor.doctor_id)) {
+        entry.doctors.set(tenure.doctor.doctor_id, { ...tenure.doctor, tenures: [] });
+      }
+      entry.doctors.get(tenure.doctor.doctor_id).tenures.push({ start: tenure.start, end: tenure.end });
+    });
+
+    const multiDoctorCompanions = Array.from(doctorsByCompanion.values())
+      .filter(entry => entry.doctors.size > 1)
+      .map(entry => ({
+        companion: entry.companion,
+        doctor_count: entry.doctors.size,
+        doctors: Array.from(entry.doctors.values())
+          .sort((a, b) => a.incarnation_number - b.incarnation_number)
+      }));
+
+    return {
+      total_tenures: tenures.length,
+      issue_count: tenures.reduce((sum, tenure) => sum + tenure.issues.length, 0),
+      tenures,
+      overlaps,
+      multi_doctor_companions: multiDoctorCompanions
+    };
+  }
+
+  /**
+   * Which companions were aboard the TARDIS when an episode aired
+   */
+  async getCompanionsAboard(episodeId) {
+    const episode = await Episode.findByPk(episodeId, { attributes: ['episode_id', 'title', 'air_date'] });
+    if (!episode) {
+      throw new NotFoundError('Episode');
+    }
+    if (!episode.air_date) {
+      throw new BadRequestError('Episode has no air date to compare against');
+    }
+
+    const tenures = await this.getCompanionTenures();
+    const aboard = tenures.filter(tenure =>
+      tenure.start && tenure.start <= episode.air_date && (tenure.ongoing || (tenure.end && tenure.end >= episode.air_date))
+    );
+
+    return { episode: episodeRef(episode), aboard };
+  }
+}
+
+module.exports = new TimelineService();
@@ -0,0 +1,95 @@
+/**
+ * Service for Writer-related operations
+ * Extends BaseService to inherit common CRUD operations
+ */
+
+const BaseService = require('./BaseService');
+const { Writer, Episode, Season, Director } = require('../models');
+const { ConflictError } = require('../utils/errors');
+
+class WriterService extends BaseService {
+  constructor() {
+    super(Writer, 'Writer');
+    this.includablePaths = [
+      'seasons',
+      'episodes',
+      'episodes.season'
+    ];
+  }
+
+  /**
+   * Get a page of writers
+   */
+  async getAllWriters(query = {}) {
+    return this.getPaginated(query, { order: [['name', 'ASC']] });
+  }
+
+  /**
+   * Get a writer by ID
+   */
+  async getWriterById(id, query = {}) {
+    return this.getById(id, this.projection(query));
+  }
+
+  /**
+   * Alias methods for consistency with existing code
+   */
+  async createWriter(data) {
+    return this.create(data);
+  }
+
+  async updateWriter(id, data) {
+    return this.update(id, data);
+  }
+
+  /**
+   * Delete a writer once they are credited on no episode and showrun no season
+   */
+  async deleteWriter(id) {
+    await this.getById(id);
+
+    const [episodeCount, seasonCount] = await Promise.all([
+      Episode.count({ where: { writer_id: id } }),
+      Season.count({ where: { showrunner_id: id } })
+    ]);
+    if (episodeCount + seasonCount > 0) {
+      throw new ConflictError(
+        `Writer is still credited on ${episodeCount} episode(s) and ${seasonCount} season(s)`
+      );
+    }
+
+    return this.delete(id);
+  }
+
+  /**
+   * Get the episodes a writer wrote and the seasons they showran
+   */
+  async getWriterFilmography(id) {
+    const writer = await this.getById(id);
+
+    const [episodes, seasons] = await Promise.all([
+      Episode.findAll({
+        where: { writer_id: id },
+        include: [
+          { model: Season, as: 'season' },
+          { model: Director, as: 'director' }
+        ],
+        order: [['air_date', 'ASC'], ['episode_id', 'ASC']]
+      }),
+      Season.findAll({
+        where: { showrunner_id: id },
+        order: [['year', 'ASC'], ['series_number', 'ASC']]
+      })
+    ]);
+
+    return {
+      writer,
+      episodes_written: episodes,
+      seasons_showrun: seasons,
+      total_episodes: episodes.length,
+      total_seasons: seasons.length
+    };
+  }
+}
+
+module.exports = new WriterService();
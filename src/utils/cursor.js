@@ -0,0 +1,37 @@
+/**
+ * Opaque cursors for keyset pagination
+ * A cursor is base64url-encoded JSON, so clients treat it as an opaque token
+ */
+
+const { BadRequestError } = require('./errors');
+
+/**
+ * Encode a cursor payload (URL-safe base64; Buffer's 'base64url' needs Node 15.7+)
+ */
+const encodeCursor = (payload) => {
+  return Buffer.from(JSON.stringify(payload)).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+};
+
+/**
+ * Decode a cursor payload, rejecting anything that was not produced by encodeCursor
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const base64 = String(cursor).replace(/-/g, '+').replace(/_/g, '/');
+    const payload = JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+    if (!payload || typeof payload !== 'object') {
+      throw new Error('Cursor payload must be an object');
+    }
+    return payload;
+  } catch (error) {
+    throw new BadRequestError('Invalid cursor');
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,140 @@
+/**
+ * Shared list query parsing for collection endpoints
+ * Turns ?limit=&offset=&page=&sort=&<field>[op]= into Sequelize find options
+ */
+
+const { Op } = require('sequelize');
+const { BadRequestError } = require('./errors');
+const { PAGINATION } = require('../config/constants');
+
+/**
+ * Query parameters that control the listing itself rather than filter a field
+ */
+const RESERVED_PARAMS = ['limit', 'offset', 'page', 'sort'];
+
+/**
+ * Supported filter operators, e.g. ?air_date[gte]=2005-01-01
+ */
+const FILTER_OPERATORS = {
+  eq: Op.eq,
+  ne: Op.ne,
+  gt: Op.gt,
+  gte: Op.gte,
+  lt: Op.lt,
+  lte: Op.lte,
+  like: Op.like,
+  in: Op.in
+};
+
+/**
+ * Resolve limit/offset/page into a window. offset wins over page when both are sent.
+ */
+const parsePagination = (query) => {
+  const limit = Math.min(query.limit || PAGINATION.DEFAULT_LIMIT, PAGINATION.MAX_LIMIT);
+
+  let offset = PAGINATION.DEFAULT_OFFSET;
+  if (query.offset !== undefined) {
+    offset = query.offset;
+  } else if (query.page !== undefined) {
+    offset = (query.page - 1) * limit;
+  }
+
+  return { limit, offset, page: Math.floor(offset / limit) + 1 };
+};
+
+/**
+ * Parse ?sort=-air_date,title or ?sort=air_date:desc into a Sequelize order array
+ */
+const parseSort = (sort, sortable) => {
+  if (!sort) return null;
+
+  return String(sort).split(',').map(token => token.trim()).filter(Boolean).map(token => {
+    let field = token;
+    let direction = 'ASC';
+
+    if (token.startsWith('-')) {
+      field = token.slice(1);
+      direction = 'DESC';
+    } else if (token.includes(':')) {
+      [field, direction] = token.split(':');
+      direction = direction.toUpperCase();
+      if (direction !== 'ASC' && direction !== 'DESC') {
+        throw new BadRequestError(`Invalid sort direction for "${field}". Use asc or desc`);
+      }
+    }
+
+    if (!sortable.includes(field)) {
+      throw new BadRequestError(`Cannot sort by "${field}". Sortable fields: ${sortable.join(', ')}`);
+    }
+
+    return [field, direction];
+  });
+};
+
+/**
+ * Convert a raw operand string for the given operator
+ */
+const parseOperand = (field, op, operand) => {
+  if (typeof operand !== 'string') {
+    throw new BadRequestError(`Invalid value for filter "${field}[${op}]"`);
+  }
+  if (op === 'in') return operand.split(',').map(value => value.trim());
+  if (op === 'like') return `%${operand}%`;
+  return operand;
+};
+
+/**
+ * Parse field filters: ?season_id=3 (equality) or ?air_date[gte]=2005-01-01 (operator)
+ */
+const parseFilters = (query, filterable, reserved) => {
+  const where = {};
+
+  Object.entries(query).forEach(([field, value]) => {
+    if (reserved.includes(field)) return;
+
+    if (!filterable.includes(field)) {
+      throw new BadRequestError(`Cannot filter by "${field}". Filterable fields: ${filterable.join(', ')}`);
+    }
+
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      where[field] = {};
+      Object.entries(value).forEach(([op, operand]) => {
+        if (!FILTER_OPERATORS[op]) {
+          throw new BadRequestError(
+            `Unknown filter operator "${op}". Supported operators: ${Object.keys(FILTER_OPERATORS).join(', ')}`
+          );
+        }
+        where[field][FILTER_OPERATORS[op]] = parseOperand(field, op, operand);
+      });
+    } else if (Array.isArray(value)) {
+      where[field] = { [Op.in]: value };
+    } else {
+      where[field] = value;
+    }
+  });
+
+  return where;
+};
+
+/**
+ * Build Sequelize list options from a request query
+ * @param {Object} query - req.query (limit/offset/page already validated by validatePagination)
+ * @param {Object} config - { sortable: string[], filterable: string[], reserved?: string[] }
+ * @returns {{ where: Object, order: Array|null, limit: number, offset: number, page: number }}
+ */
+const buildListQuery = (query = {}, { sortable = [], filterable = [], reserved = [] } = {}) => {
+  const allReserved = [...RESERVED_PARAMS, ...reserved];
+
+  return {
+    ...parsePagination(query),
+    order: parseSort(query.sort, sortable),
+    where: parseFilters(query, filterable, allReserved)
+  };
+};
+
+module.exports = {
+  RESERVED_PARAMS,
+  FILTER_OPERATORS,
+  parsePagination,
+  buildListQuery
+};
@@ -0,0 +1,120 @@
+/**
+ * Name normalization and typo-tolerant matching
+ * Shared by the seeding script (matching names across APIs) and /api/autocomplete
+ */
+
+/**
+ * Normalize name for fuzzy matching between APIs
+ * Converts to lowercase, trims, removes extra spaces
+ */
+function normalizeName(name) {
+  if (!name) return '';
+  return name.toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Fuzzy match two names (handles variations like "David Tennant" vs "David Tennant")
+ */
+function namesMatch(name1, name2) {
+  const n1 = normalizeName(name1);
+  const n2 = normalizeName(name2);
+  return n1 === n2 || n1.includes(n2) || n2.includes(n1);
+}
+
+/**
+ * Split a normalized name into words ("the dalek emperor" -> ["the", "dalek", "emperor"])
+ */
+function nameWords(name) {
+  return normalizeName(name).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Set of padded character trigrams ("dalek" -> "  d", " da", "dal", ...)
+ */
+function trigrams(text) {
+  const padded = `  ${text} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient of two strings' trigram sets, 0..1
+ */
+function trigramSimilarity(a, b) {
+  const gramsA = trigrams(a);
+  const gramsB = trigrams(b);
+  let shared = 0;
+  gramsA.forEach(gram => {
+    if (gramsB.has(gram)) shared++;
+  });
+  return (2 * shared) / (gramsA.size + gramsB.size);
+}
+
+/**
+ * Levenshtein edit distance (insertions, deletions and substitutions)
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Edit-distance similarity of a (possibly partial) query against the start of a word,
+ * so "dalk" scores well against "daleks" while the user is still typing
+ */
+function prefixSimilarity(query, word) {
+  let best = Infinity;
+  for (let length = query.length - 1; length <= query.length + 1; length++) {
+    if (length <= 0 || length > word.length) continue;
+    best = Math.min(best, editDistance(query, word.slice(0, length)));
+  }
+  if (best === Infinity) best = editDistance(query, word);
+  return Math.max(0, 1 - best / query.length);
+}
+
+/**
+ * Score how well a typed query matches a candidate name, 0..1.
+ * Exact and prefix matches rank first; otherwise the best of trigram and
+ * edit-distance similarity against the whole name and each of its words.
+ */
+function nameSimilarity(query, candidate) {
+  const q = normalizeName(query);
+  const c = normalizeName(candidate);
+  if (!q || !c) return 0;
+
+  if (c === q) return 1;
+  if (c.startsWith(q)) return 0.95;
+
+  const words = nameWords(c);
+  if (words.some(word => word.startsWith(q))) return 0.9;
+  if (c.includes(q)) return 0.85;
+
+  // Typo tolerance stays below every literal match above
+  let best = trigramSimilarity(q, c);
+  if (q.length >= 3) {
+    best = Math.max(best, prefixSimilarity(q, c));
+    words.forEach(word => {
+      best = Math.max(best, trigramSimilarity(q, word), prefixSimilarity(q, word));
+    });
+  }
+  return best * 0.8;
+}
+
+module.exports = {
+  normalizeName,
+  namesMatch,
+  trigramSimilarity,
+  editDistance,
+  nameSimilarity
+};
@@ -0,0 +1,128 @@
+/**
+ * Sparse fieldsets and selectable includes for resource endpoints
+ * Turns ?fields=a,b and ?include=actor,firstEpisode.season into Sequelize attributes/include options
+ */
+
+const { BadRequestError } = require('./errors');
+
+/**
+ * Split a comma-separated query value into trimmed, non-empty tokens
+ */
+const splitList = (value) => {
+  return String(value).split(',').map(token => token.trim()).filter(Boolean);
+};
+
+/**
+ * Every prefix of an allowed path is allowed too ("firstEpisode.season" allows "firstEpisode")
+ */
+const expandPaths = (paths) => {
+  const expanded = new Set();
+  paths.forEach(path => {
+    const parts = path.split('.');
+    parts.forEach((_, index) => expanded.add(parts.slice(0, index + 1).join('.')));
+  });
+  return Array.from(expanded);
+};
+
+/**
+ * Resolve ?fields= against the model's attributes.
+ * The primary key is always selected, plus any foreign keys the requested includes join on.
+ */
+const parseFields = (model, fields, include) => {
+  if (fields === undefined) return undefined;
+
+  const available = Object.keys(model.rawAttributes);
+  const requested = splitList(fields);
+  const unknown = requested.filter(field => !available.includes(field));
+  if (unknown.length > 0) {
+    throw new BadRequestError(
+      `Unknown field(s): ${unknown.join(', ')}. Valid fields: ${available.join(', ')}`
+    );
+  }
+
+  const attributes = new Set([model.primaryKeyAttribute, ...requested]);
+  (include || []).forEach(({ as }) => {
+    const association = model.associations[as];
+    if (association.associationType === 'BelongsTo') {
+      attributes.add(association.foreignKey);
+    }
+  });
+
+  return Array.from(attributes);
+};
+
+/**
+ * Resolve ?include= paths into a nested Sequelize include tree using the association aliases
+ * declared in src/models/index.js
+ */
+const parseInclude = (model, include, includable) => {
+  const allowed = expandPaths(includable);
+  const requested = splitList(include);
+  const unknown = requested.filter(path => !allowed.includes(path));
+  if (unknown.length > 0) {
+    throw new BadRequestError(
+      `Unknown include path(s): ${unknown.join(', ')}. Valid options: ${allowed.length > 0 ? allowed.join(', ') : 'none'}`
+    );
+  }
+
+  const tree = [];
+  requested.forEach(path => {
+    let level = tree;
+    let source = model;
+    path.split('.').forEach(alias => {
+      const association = source.associations[alias];
+      let node = level.find(entry => entry.as === alias);
+      if (!node) {
+        node = { model: association.target, as: alias, include: [] };
+        level.push(node);
+      }
+      level = node.include;
+      source = association.target;
+    });
+  });
+
+  return tree;
+};
+
+/**
+ * Trim the default include for a ?fields= request without ?include=: only belongs-to
+ * associations whose foreign key was among the requested fields are still joined
+ */
+const includeForFields = (model, fields, include) => {
+  const requested = splitList(fields);
+  return (include || []).filter(({ as }) => {
+    const association = model.associations[as];
+    return association.associationType === 'BelongsTo' && requested.includes(association.foreignKey);
+  });
+};
+
+/**
+ * Apply ?fields= and ?include= to find options.
+ * options.include is the resource's default and is replaced when the client sends ?include=;
+ * with only ?fields=, it is cut down to the associations whose foreign keys were requested.
+ * @param {Model} model - Sequelize model the resource is built on
+ * @param {Object} query - req.query
+ * @param {Object} options - find options carrying the default include
+ * @param {string[]} includable - association paths clients may include
+ */
+const applyProjection = (model, query = {}, options = {}, includable = []) => {
+  const result = { ...options };
+
+  if (query.include !== undefined) {
+    result.include = parseInclude(model, query.include, includable);
+  } else if (query.fields !== undefined) {
+    result.include = includeForFields(model, query.fields, result.include);
+  }
+
+  const attributes = parseFields(model, query.fields, result.include);
+  if (attributes) {
+    result.attributes = attributes;
+  }
+
+  return result;
+};
+
+module.exports = {
+  PROJECTION_PARAMS: ['fields', 'include'],
+  applyProjection
+};
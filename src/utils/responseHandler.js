@@ -57,10 +57,26 @@ const sendPaginated = (res, data, total, page, limit) => {
   });
 };
 
+/**
+ * Send cursor-paginated response (keyset pagination)
+ */
+const sendCursorPaginated = (res, data, { limit, next, prev }) => {
+  res.status(HTTP_STATUS.OK).json({
+    status: 'success',
+    data,
+    pagination: {
+      limit,
+      next,
+      prev
+    }
+  });
+};
+
 module.exports = {
   sendSuccess,
   sendCreated,
   sendUpdated,
   sendDeleted,
-  sendPaginated
+  sendPaginated,
+  sendCursorPaginated
 };
\ No newline at end of file
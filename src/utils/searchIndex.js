@@ -0,0 +1,76 @@
+/**
+ * In-process inverted index used when MySQL FULLTEXT indexes are unavailable
+ * Scores documents with TF-IDF, weighting the label field above longer text fields
+ */
+
+const MIN_TOKEN_LENGTH = 2;
+const LABEL_WEIGHT = 3;
+
+/**
+ * Lowercase a string and split it into word tokens
+ */
+const tokenize = (text) => {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length >= MIN_TOKEN_LENGTH);
+};
+
+class SearchIndex {
+  constructor() {
+    this.documents = [];
+    // token -> Map(documentIndex -> weighted term frequency)
+    this.postings = new Map();
+  }
+
+  /**
+   * Add a document. fields maps field names to text; labelField gets extra weight.
+   */
+  add(document, fields, labelField) {
+    const docIndex = this.documents.push(document) - 1;
+
+    Object.entries(fields).forEach(([field, text]) => {
+      const weight = field === labelField ? LABEL_WEIGHT : 1;
+      tokenize(text).forEach(token => {
+        if (!this.postings.has(token)) {
+          this.postings.set(token, new Map());
+        }
+        const posting = this.postings.get(token);
+        posting.set(docIndex, (posting.get(docIndex) || 0) + weight);
+      });
+    });
+  }
+
+  /**
+   * Search the index. Query terms also match longer tokens they prefix ("dalek" finds "daleks").
+   * @returns {Array<{ document: Object, score: number }>} best matches first
+   */
+  search(query, filter = () => true) {
+    const scores = new Map();
+    const total = this.documents.length;
+
+    tokenize(query).forEach(term => {
+      this.postings.forEach((posting, token) => {
+        if (!token.startsWith(term)) return;
+
+        const idf = Math.log(1 + total / posting.size);
+        // Exact token matches rank above prefix matches
+        const exactness = token === term ? 1 : 0.5;
+        posting.forEach((frequency, docIndex) => {
+          scores.set(docIndex, (scores.get(docIndex) || 0) + frequency * idf * exactness);
+        });
+      });
+    });
+
+    return Array.from(scores.entries())
+      .map(([docIndex, score]) => ({ document: this.documents[docIndex], score }))
+      .filter(({ document }) => filter(document))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  tokenize
+};
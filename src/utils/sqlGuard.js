@@ -0,0 +1,177 @@
+/**
+ * Safety check for model-generated SQL.
+ * Parses the query with node-sql-parser and only lets a single plain SELECT through:
+ * no INTO, no locking reads, no variables, no dangerous functions, and only whitelisted tables.
+ * The query that runs is re-generated from the parse tree with a LIMIT applied,
+ * so comments, optimizer hints and anything else the parser ignored are dropped.
+ */
+
+const { Parser } = require('node-sql-parser/build/mysql');
+const { ValidationError } = require('./errors');
+
+const parser = new Parser();
+const PARSER_OPTIONS = { database: 'MySQL' };
+
+// Functions that block, touch the filesystem or server state, or leak server details
+const DENIED_FUNCTIONS = new Set([
+  'SLEEP', 'BENCHMARK', 'LOAD_FILE',
+  'GET_LOCK', 'RELEASE_LOCK', 'RELEASE_ALL_LOCKS', 'IS_FREE_LOCK', 'IS_USED_LOCK',
+  'MASTER_POS_WAIT', 'SOURCE_POS_WAIT', 'WAIT_FOR_EXECUTED_GTID_SET', 'WAIT_UNTIL_SQL_THREAD_AFTER_GTIDS',
+  'USER', 'CURRENT_USER', 'SESSION_USER', 'SYSTEM_USER', 'DATABASE', 'SCHEMA', 'VERSION', 'CONNECTION_ID',
+  'ROLES_GRAPHML', 'CURRENT_ROLE', 'FOUND_ROWS', 'ROW_COUNT', 'LAST_INSERT_ID'
+]);
+
+/**
+ * Visit every object in a parse tree
+ */
+const walk = (node, visit) => {
+  if (Array.isArray(node)) {
+    node.forEach(child => walk(child, visit));
+  } else if (node && typeof node === 'object') {
+    visit(node);
+    Object.values(node).forEach(child => walk(child, visit));
+  }
+};
+
+const cteName = (cte) => String(cte.name?.value ?? cte.name).toLowerCase();
+
+/**
+ * Collect every FROM table reference, noting whether it names a CTE in scope there.
+ * A WITH clause is only visible to its own SELECT (including UNION branches and subqueries).
+ * Inside the WITH, a CTE sees the ones defined before it, and itself under WITH RECURSIVE;
+ * MySQL reads any other name as a real table, so it is checked as one.
+ */
+const collectTableRefs = (node, scope, refs) => {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectTableRefs(child, scope, refs));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+  if (node.type !== 'select') {
+    Object.values(node).forEach(child => collectTableRefs(child, scope, refs));
+    return;
+  }
+
+  const ctes = node.with || [];
+  const names = ctes.map(cteName);
+  const recursive = ctes.some(cte => cte.recursive);
+  ctes.forEach((cte, index) => {
+    const visible = new Set([...scope, ...names.slice(0, recursive ? index + 1 : index)]);
+    collectTableRefs(cte.stmt, visible, refs);
+  });
+
+  const visible = new Set([...scope, ...names]);
+  (node.from || []).forEach(source => {
+    if (typeof source.table === 'string') {
+      refs.push({ db: source.db, table: source.table, cte: visible.has(source.table.toLowerCase()) });
+    }
+  });
+  Object.entries(node).forEach(([key, child]) => {
+    if (key !== 'with') collectTableRefs(child, visible, refs);
+  });
+};
+
+const functionName = (node) => {
+  if (typeof node.name === 'string') return node.name;
+  return (node.name?.name || []).map(part => part.value).join('.');
+};
+
+/**
+ * Clamp (or add) the LIMIT on the outermost query. For UNIONs the parser keeps
+ * the trailing LIMIT on the last SELECT of the chain.
+ */
+const applyLimit = (ast, maxRows) => {
+  let tail = ast;
+  while (tail._next) tail = tail._next;
+
+  const values = tail.limit?.value || [];
+  if (values.length === 0) {
+    tail.limit = { seperator: '', value: [{ type: 'number', value: maxRows }] };
+    return;
+  }
+  // "LIMIT offset, count" keeps the count second; "LIMIT count" and "LIMIT count OFFSET offset" keep it first
+  const count = tail.limit.seperator === ',' ? values[1] : values[0];
+  if (count.type !== 'number' || count.value > maxRows) {
+    count.type = 'number';
+    count.value = maxRows;
+  }
+};
+
+/**
+ * Check a query and return the SQL to run.
+ * @param {string} sql - query to check
+ * @param {Object} options
+ * @param {string[]} options.allowedTables - tables and views the query may read
+ * @param {number} options.maxRows - LIMIT applied to the outermost query
+ * @returns {{ sql: string, tables: string[] }}
+ * @throws {ValidationError} with `errors` listing each violation as { code, message }
+ */
+const guardSql = (sql, { allowedTables, maxRows }) => {
+  const reject = (violations) => {
+    throw new ValidationError('Query rejected by the SQL safety check', violations);
+  };
+
+  let ast;
+  try {
+    ast = parser.astify(sql, PARSER_OPTIONS);
+  } catch (error) {
+    reject([{ code: 'parse_error', message: `Could not parse the query: ${String(error.message).slice(0, 300)}` }]);
+  }
+
+  const statements = (Array.isArray(ast) ? ast : [ast]).filter(Boolean);
+  if (statements.length !== 1) {
+    reject([{ code: 'multiple_statements', message: 'Only a single statement is allowed' }]);
+  }
+  ast = statements[0];
+  if (ast.type !== 'select') {
+    reject([{ code: 'not_select', message: `Only SELECT statements are allowed, got ${String(ast.type).toUpperCase()}` }]);
+  }
+
+  const violations = [];
+
+  walk(ast, node => {
+    if (node.type === 'select') {
+      if (node.into?.position || node.into?.keyword) {
+        violations.push({ code: 'select_into', message: 'SELECT ... INTO is not allowed' });
+      }
+      if (node.locking_read) {
+        violations.push({ code: 'locking_read', message: `Locking clause "${node.locking_read}" is not allowed` });
+      }
+    } else if (node.type === 'function') {
+      const name = functionName(node).toUpperCase();
+      if (DENIED_FUNCTIONS.has(name)) {
+        violations.push({ code: 'forbidden_function', message: `Function ${name}() is not allowed` });
+      }
+    } else if (node.type === 'var' || node.type === 'assign') {
+      violations.push({ code: 'variable', message: 'User and system variables are not allowed' });
+    }
+  });
+
+  const tableRefs = [];
+  collectTableRefs(ast, new Set(), tableRefs);
+
+  const allowed = new Set(allowedTables.map(table => table.toLowerCase()));
+  const tables = new Set();
+  tableRefs.forEach(({ db, table, cte }) => {
+    if (db) {
+      violations.push({ code: 'schema_qualified', message: `Table ${db}.${table} is outside this database` });
+    } else if (cte) {
+      // Common table expressions are checked through their own FROM clauses
+    } else if (!allowed.has(table.toLowerCase())) {
+      violations.push({ code: 'table_not_allowed', message: `Table ${table} is not queryable` });
+    } else {
+      tables.add(table);
+    }
+  });
+
+  if (violations.length > 0) {
+    // The same problem can show up in several subqueries
+    const unique = new Map(violations.map(violation => [violation.message, violation]));
+    reject(Array.from(unique.values()));
+  }
+
+  applyLimit(ast, maxRows);
+  return { sql: parser.sqlify(ast, PARSER_OPTIONS), tables: Array.from(tables) };
+};
+
+module.exports = { guardSql };